@@ -1,29 +1,29 @@
 var Promise = require('es6-promise').Promise;
 var EventEmitter = require('wolfy87-eventemitter');
-
-/**
- * Oliver Caldwell
- * http://oli.me.uk/2013/06/01/prototypical-inheritance-done-right/
- */
-if (!Object.create) {
-    Object.create = (function () {
-        var F = function () {
-        };
-        return function (o) {
-            if (arguments.length !== 1) {
-                throw new Error('Object.create implementation only accepts one parameter.');
-            }
-            F.prototype = o;
-            return new F();
-        }
-    })()
-}
-
-function extend(destination, source) {
-    destination.prototype = Object.create(source.prototype);
-    destination.prototype.constructor = destination;
-    return source.prototype;
-}
+var transports = require('./transports');
+var SockJSTransport = transports.SockJSTransport;
+var WebSocketTransport = transports.WebSocketTransport;
+var codecs = require('./codecs');
+var JSONCodec = codecs.JSONCodec;
+var MsgpackCodec = codecs.MsgpackCodec;
+var positions = require('./positions');
+var StoragePositionStore = positions.StoragePositionStore;
+var IndexedDBPositionStore = positions.IndexedDBPositionStore;
+var reconnect = require('./reconnect');
+var CentrifugeError = require('./errors');
+var http = require('./http');
+var FetchHTTPClient = http.FetchHTTPClient;
+var XHRHTTPClient = http.XHRHTTPClient;
+var createAbortController = http.createAbortController;
+var isTemporaryStatus = http.isTemporaryStatus;
+var statusError = http.statusError;
+var logger = require('./logger');
+var Logger = logger.Logger;
+var logLevels = logger.levels;
+var utils = require('./utils');
+var extend = utils.extend;
+var isString = utils.isString;
+var isFunction = utils.isFunction;
 
 /**
  * Array.prototype.indexOf polyfill from
@@ -130,36 +130,97 @@ function stripSlash(value) {
     return value;
 }
 
-function isString(value) {
-    if (value === undefined || value === null) {
-        return false;
+function encodeParams(params) {
+    var query = '';
+    var add = function (name, value) {
+        if (query.length > 0) {
+            query += '&';
+        }
+        if (value !== null && typeof value === 'object') {
+            value = JSON.stringify(value);
+        }
+        query += encodeURIComponent(name) + '=' + encodeURIComponent(value);
+    };
+    for (var i in params) {
+        if (params.hasOwnProperty(i)) {
+            if (Object.prototype.toString.call(params[i]) === Object.prototype.toString.call([])) {
+                // arrays are sent as repeated parameters.
+                for (var j = 0; j < params[i].length; j++) {
+                    add(i, params[i][j]);
+                }
+            } else {
+                add(i, params[i]);
+            }
+        }
     }
-    return typeof value === 'string' || value instanceof String;
+    return query;
 }
 
-function isFunction(value) {
-    if (value === undefined || value === null) {
-        return false;
+// size of transport frame in bytes, strings are measured as UTF-8.
+function frameSize(frame) {
+    if (isString(frame)) {
+        var size = 0;
+        for (var i = 0; i < frame.length; i++) {
+            var code = frame.charCodeAt(i);
+            if (code < 0x80) {
+                size += 1;
+            } else if (code < 0x800) {
+                size += 2;
+            } else if (code >= 0xD800 && code <= 0xDBFF && i + 1 < frame.length &&
+                frame.charCodeAt(i + 1) >= 0xDC00 && frame.charCodeAt(i + 1) <= 0xDFFF) {
+                // surrogate pair encodes one 4 byte character.
+                size += 4;
+                i++;
+            } else {
+                size += 3;
+            }
+        }
+        return size;
     }
-    return typeof value === 'function';
+    if (frame && frame.byteLength !== undefined) {
+        return frame.byteLength;
+    }
+    return 0;
+}
+
+// nearest-rank percentile of sorted array.
+function percentile(sorted, p) {
+    var index = Math.ceil(p / 100 * sorted.length) - 1;
+    return sorted[Math.max(0, Math.min(sorted.length - 1, index))];
 }
 
-function log(level, args) {
-    if (global.console) {
-        var logger = global.console[level];
-        if (isFunction(logger)) {
-            logger.apply(global.console, args);
+// glob pattern to RegExp: `*` matches any number of characters, `?` - one
+// character, everything else matches literally.
+function patternRegExp(pattern) {
+    var source = '';
+    for (var i = 0; i < pattern.length; i++) {
+        var c = pattern.charAt(i);
+        if (c === '*') {
+            source += '.*';
+        } else if (c === '?') {
+            source += '.';
+        } else {
+            source += c.replace(/[\\^$.|+()[\]{}\/-]/g, '\\$&');
         }
     }
+    return new RegExp('^' + source + '$');
 }
 
-function backoff(step, min, max) {
-    var jitter = 0.5 * Math.random();
-    var interval = min * Math.pow(2, step + 1);
-    if (interval > max) {
-        interval = max;
+// network errors (status 0 or unknown), server errors, timeouts and rate
+// limits are worth retrying, other 4xx responses mean access denied. Custom
+// auth functions can pass status or error into callback.
+function isTemporaryAuthError(status) {
+    if (status instanceof CentrifugeError) {
+        return status.temporary;
     }
-    return Math.floor((1 - jitter) * interval);
+    if (typeof status !== 'number' || status === 0) {
+        return true;
+    }
+    return isTemporaryStatus(status);
+}
+
+function now() {
+    return (new Date()).getTime();
 }
 
 function errorExists(data) {
@@ -168,44 +229,94 @@ function errorExists(data) {
 
 function Centrifuge(options) {
     this._sockJS = null;
-    this._isSockJS = false;
     this._status = 'disconnected';
+    this._state = 'disconnected';
     this._reconnect = true;
     this._reconnecting = false;
     this._transport = null;
     this._transportName = null;
     this._transportClosed = true;
+    this._transportConnecting = false;
+    this._codec = new JSONCodec();
     this._messageId = 0;
     this._clientID = null;
     this._subs = {};
+    this._patternHandlers = [];
     this._lastMessageID = {};
+    this._positionsRestored = {};
+    this._positionsLoading = {};
     this._messages = [];
     this._isBatching = false;
     this._isAuthBatching = false;
     this._authChannels = {};
+    this._authResolvers = [];
+    this._defaultAuthResolver = null;
+    this._authPending = {};
+    this._httpRequests = [];
+    this._authRetries = {};
+    this._authRetryTimeouts = [];
+    this._authFailed = {};
     this._numRefreshFailed = 0;
     this._refreshTimeout = null;
     this._pingInterval = null;
     this._pongTimeout = null;
     this._retries = 0;
+    this._reconnectTimeout = null;
+    this._reconnectPostponed = false;
+    this._networkListeners = null;
+    this._hiddenTimeout = null;
+    this._hiddenExpired = false;
     this._callbacks = {};
     this._latency = null;
     this._latencyStart = null;
+    this._disconnectedAt = null;
+    this._pingUID = null;
+    this._pingStart = null;
+    this._pingSamples = [];
+    this._connectWaiters = [];
+    this._closeWaiters = [];
+    this._publishQueue = [];
+    this._logger = new Logger();
     this._config = {
         sockJS: null,
+        websocket: null,
+        fetch: null,
+        httpClient: null,
+        httpTimeout: 10000,
+        httpMethod: 'POST',
+        httpCredentials: 'include',
+        requestInterceptors: [],
+        responseInterceptors: [],
         retry: 1000,
         maxRetry: 20000,
+        reconnectStrategy: null,
+        networkAware: true,
+        hiddenTimeout: null,
         timeout: 5000,
+        publishQueue: false,
+        publishQueueSize: 100,
+        publishQueueMaxAge: 60000,
         info: '',
         resubscribe: true,
+        dedupWindow: 100,
+        positionStore: null,
         ping: true,
         pingInterval: 30000,
         pongWaitTimeout: 5000,
+        adaptivePongTimeout: false,
+        minPongWaitTimeout: 1000,
+        latencyWindow: 20,
         debug: false,
+        logger: null,
+        logLevel: null,
+        logRedact: ['token', 'sign'],
         insecure: false,
         server: null,
         privateChannelPrefix: '$',
         onTransportClose: null,
+        onMetric: null,
+        transport: null,
+        codec: null,
         transports: [
             'websocket',
             'xdr-streaming',
@@ -231,7 +342,9 @@ function Centrifuge(options) {
         authEndpoint: '/centrifuge/auth/',
         authHeaders: {},
         authParams: {},
-        authTransport: 'ajax'
+        authTransport: 'ajax',
+        authResolvers: [],
+        authRetryStrategy: null
     };
     if (options) {
         this.configure(options);
@@ -246,119 +359,297 @@ Centrifuge._nextJSONPCallbackID = 1;
 
 var centrifugeProto = Centrifuge.prototype;
 
-centrifugeProto._jsonp = function (url, params, headers, data, callback) {
+/**
+ * Send JSONP request to application backend. Request data is sent as JSON in
+ * `data` query parameter, response is passed into callback just like for AJAX
+ * requests - errors are passed as CentrifugeError (`network` when script
+ * failed to load, `timeout` when no response during httpTimeout).
+ */
+centrifugeProto._jsonp = function (kind, url, params, headers, data, callback) {
+    var self = this;
+
     if (Object.keys(headers).length > 0) {
-        this._log('Only AJAX request allows to send custom headers, it is not possible with JSONP.');
+        this._log('warn', 'http', 'only AJAX request allows to send custom headers, it is not possible with JSONP', {url: url});
+    }
+
+    var document = global.document;
+    if (!document) {
+        this._log('error', 'http', 'JSONP request is not possible without document object, use AJAX instead', {url: url});
+        setTimeout(function () {
+            callback(true, new CentrifugeError('config', 'JSONP request is not possible without document object'));
+        }, 0);
+        return;
     }
-    this._debug('sending JSONP request to', url);
+
+    this._log('debug', 'http', 'sending JSONP request', {url: url, kind: kind});
 
     var callbackName = 'centrifuge_jsonp_' + Centrifuge._nextJSONPCallbackID.toString();
     Centrifuge._nextJSONPCallbackID++;
 
-    var document = global.document;
     var script = document.createElement('script');
+    var timeoutTrigger = null;
+    var controller = createAbortController();
+    var entry = {
+        kind: kind,
+        controller: controller
+    };
+    this._httpRequests.push(entry);
 
-    var timeoutTrigger = setTimeout(function () {
-        Centrifuge._jsonpCallbacks[callbackName] = function () {
-        };
-        callback(true, 'timeout');
-    }, 3000);
+    // loaded is false when script can still be executed later.
+    var cleanup = function (loaded) {
+        if (timeoutTrigger !== null) {
+            clearTimeout(timeoutTrigger);
+        }
+        controller.signal.removeEventListener('abort', onAbort);
+        var index = self._httpRequests.indexOf(entry);
+        if (index > -1) {
+            self._httpRequests.splice(index, 1);
+        }
+        script.onerror = null;
+        if (script.parentNode) {
+            script.parentNode.removeChild(script);
+        }
+        if (loaded) {
+            delete Centrifuge._jsonpCallbacks[callbackName];
+        } else {
+            // script can still be executed after removal, so callback stays
+            // defined until then.
+            Centrifuge._jsonpCallbacks[callbackName] = function () {
+                delete Centrifuge._jsonpCallbacks[callbackName];
+            };
+        }
+    };
+
+    var fail = function (err, loaded) {
+        cleanup(loaded);
+        self._log('warn', 'http', 'request to application failed', {url: url, kind: kind, error: err});
+        callback(true, err);
+    };
+
+    var onAbort = function () {
+        cleanup(false);
+        self._log('debug', 'http', 'request aborted', {url: url, kind: kind});
+    };
+    controller.signal.addEventListener('abort', onAbort);
+
+    if (this._config.httpTimeout > 0) {
+        timeoutTrigger = setTimeout(function () {
+            fail(new CentrifugeError('timeout', 'request timeout', {advice: 'retry'}), false);
+        }, this._config.httpTimeout);
+    }
+
+    script.onerror = function () {
+        fail(new CentrifugeError('network', 'network error: JSONP script load failed', {advice: 'retry'}), true);
+    };
 
     Centrifuge._jsonpCallbacks[callbackName] = function (data) {
-        clearTimeout(timeoutTrigger);
+        cleanup(true);
         callback(false, data);
-        delete Centrifuge._jsonpCallbacks[callbackName];
     };
 
-    var query = '';
-    for (var i in params) {
-        if (params.hasOwnProperty(i)) {
-            if (query.length > 0) {
-                query += '&';
-            }
-            query += encodeURIComponent(i) + '=' + encodeURIComponent(params[i]);
-        }
-    }
+    var query = encodeParams(params);
 
-    var callback_name = 'Centrifuge._jsonpCallbacks[\'' + callbackName + '\']';
-    script.src = this._config.authEndpoint +
-        '?callback=' + encodeURIComponent(callback_name) +
+    var callbackPath = 'Centrifuge._jsonpCallbacks[\'' + callbackName + '\']';
+    script.src = url +
+        (url.indexOf('?') > -1 ? '&' : '?') +
+        'callback=' + encodeURIComponent(callbackPath) +
         '&data=' + encodeURIComponent(JSON.stringify(data)) +
-        '&' + query;
+        (query.length > 0 ? '&' + query : '');
 
     var head = document.getElementsByTagName('head')[0] || document.documentElement;
     head.insertBefore(script, head.firstChild);
 };
 
-centrifugeProto._ajax = function (url, params, headers, data, callback) {
-    var self = this;
-    self._debug('sending AJAX request to', url);
+centrifugeProto._httpClient = function () {
+    if (this._config.httpClient !== null) {
+        return this._config.httpClient;
+    }
+    if (this._config.fetch !== null || isFunction(global.fetch)) {
+        return new FetchHTTPClient({fetch: this._config.fetch});
+    }
+    return new XHRHTTPClient();
+};
 
-    var xhr = (global.XMLHttpRequest ? new global.XMLHttpRequest() : new ActiveXObject('Microsoft.XMLHTTP'));
+// interceptors can modify passed object or return new one (or promise).
+function intercept(interceptors, value, extra) {
+    var result = Promise.resolve(value);
+    var apply = function (interceptor) {
+        return function (current) {
+            return Promise.resolve(interceptor(current, extra)).then(function (next) {
+                return next === undefined ? current : next;
+            });
+        };
+    };
+    for (var i = 0; i < interceptors.length; i++) {
+        result = result.then(apply(interceptors[i]));
+    }
+    return result;
+}
 
-    var query = '';
-    for (var i in params) {
-        if (params.hasOwnProperty(i)) {
-            if (query.length > 0) {
-                query += '&';
-            }
-            query += encodeURIComponent(i) + '=' + encodeURIComponent(params[i]);
+/**
+ * Send JSON request to application backend using configured HTTP client.
+ * Callback is called with error flag and parsed response or CentrifugeError.
+ * Kind (`auth` or `refresh`) is used to abort requests on disconnect, callback
+ * is not called for aborted requests.
+ */
+centrifugeProto._httpRequest = function (kind, url, params, headers, data, callback) {
+    var self = this;
+    var method = this._config.httpMethod.toUpperCase();
+
+    var query = encodeParams(params);
+    var body = null;
+    if (method === 'GET' || method === 'HEAD') {
+        // no body allowed so send data in query string.
+        var dataQuery = encodeParams(data);
+        if (dataQuery.length > 0) {
+            query = query.length > 0 ? query + '&' + dataQuery : dataQuery;
         }
+    } else {
+        body = JSON.stringify(data);
     }
     if (query.length > 0) {
-        query = '?' + query;
-    }
-    xhr.open('POST', url + query, true);
-    if ('withCredentials' in xhr) {
-        xhr.withCredentials = true;
+        query = (url.indexOf('?') > -1 ? '&' : '?') + query;
     }
 
-    // add request headers
-    xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
-    xhr.setRequestHeader('Content-Type', 'application/json');
+    var requestHeaders = {
+        'X-Requested-With': 'XMLHttpRequest',
+        'Content-Type': 'application/json'
+    };
     for (var headerName in headers) {
         if (headers.hasOwnProperty(headerName)) {
-            xhr.setRequestHeader(headerName, headers[headerName]);
+            requestHeaders[headerName] = headers[headerName];
         }
     }
 
-    xhr.onreadystatechange = function () {
-        if (xhr.readyState === 4) {
-            if (xhr.status === 200) {
-                var data, parsed = false;
-                try {
-                    data = JSON.parse(xhr.responseText);
-                    parsed = true;
-                } catch (e) {
-                    callback(true, 'JSON returned was invalid, yet status code was 200. Data was: ' + xhr.responseText);
-                }
-                if (parsed) { // prevents double execution.
-                    callback(false, data);
-                }
-            } else {
-                self._log("Couldn't get auth info from application", xhr.status);
-                callback(true, xhr.status);
-            }
+    var controller = createAbortController();
+    var entry = {
+        kind: kind,
+        controller: controller
+    };
+    this._httpRequests.push(entry);
+
+    var request = {
+        url: url + query,
+        method: method,
+        headers: requestHeaders,
+        body: body,
+        credentials: this._config.httpCredentials,
+        timeout: this._config.httpTimeout,
+        signal: controller.signal
+    };
+
+    // call callback outside of promise chain so errors thrown by callback
+    // do not end up in rejection handler.
+    var done = function (error, data) {
+        setTimeout(function () {
+            callback(error, data);
+        }, 0);
+    };
+
+    var finish = function () {
+        var index = self._httpRequests.indexOf(entry);
+        if (index > -1) {
+            self._httpRequests.splice(index, 1);
         }
     };
 
-    setTimeout(function () {
-        xhr.send(JSON.stringify(data));
-    }, 20);
-    return xhr;
+    this._log('debug', 'http', 'sending request', {url: url, method: method, kind: kind});
+
+    intercept(this._config.requestInterceptors, request).then(function (request) {
+        return self._httpClient().request(request).then(function (response) {
+            return intercept(self._config.responseInterceptors, response, request);
+        });
+    }).then(function (response) {
+        finish();
+        if (response.status < 200 || response.status >= 300) {
+            throw statusError(response.status);
+        }
+        var data;
+        try {
+            data = JSON.parse(response.body);
+        } catch (e) {
+            throw new CentrifugeError('invalid_response', 'JSON returned was invalid, yet status code was ' + response.status + '. Data was: ' + response.body, {
+                advice: 'fix'
+            });
+        }
+        done(false, data);
+    }).then(null, function (err) {
+        finish();
+        if (err instanceof CentrifugeError && err.code === 'cancelled') {
+            self._log('debug', 'http', 'request aborted', {url: url, kind: kind});
+            return;
+        }
+        if (!(err instanceof CentrifugeError)) {
+            // error thrown by interceptor or custom HTTP client.
+            err = new CentrifugeError('network', '' + (err && err.message ? err.message : err), {advice: 'retry'});
+        }
+        self._log('warn', 'http', 'request to application failed', {url: url, kind: kind, error: err});
+        done(true, err);
+    });
+};
+
+// abort in-flight HTTP requests of kind (all requests when kind is null).
+centrifugeProto._abortHTTPRequests = function (kind) {
+    var requests = this._httpRequests.slice(0);
+    for (var i = 0; i < requests.length; i++) {
+        if (kind === null || requests[i].kind === kind) {
+            requests[i].controller.abort();
+        }
+    }
+};
+
+/**
+ * Write structured log entry, namespace is appended to `centrifuge:` prefix
+ * (or omitted for core client entries). Client id is added to fields when known.
+ */
+centrifugeProto._log = function (level, namespace, message, fields) {
+    if (!this._logger.enabled(level)) {
+        return;
+    }
+    if (this._clientID !== null) {
+        fields = mixin(false, {client: this._clientID}, fields || {});
+    }
+    this._logger.log(level, namespace, message, fields);
+};
+
+centrifugeProto._debug = function (message, fields) {
+    this._log('debug', null, message, fields);
+};
+
+centrifugeProto._info = function (message, fields) {
+    this._log('info', null, message, fields);
+};
+
+centrifugeProto._warn = function (message, fields) {
+    this._log('warn', null, message, fields);
 };
 
-centrifugeProto._log = function () {
-    log('info', arguments);
+centrifugeProto._error = function (message, fields) {
+    this._log('error', null, message, fields);
 };
 
-centrifugeProto._debug = function () {
-    if (this._config.debug === true) {
-        log('debug', arguments);
+/**
+ * Report metric to onMetric hook, see CHANGELOG for list of metrics.
+ */
+centrifugeProto._metric = function (name, value, tags) {
+    if (this._config.onMetric === null) {
+        return;
+    }
+    try {
+        this._config.onMetric({
+            name: name,
+            value: value,
+            tags: tags || {}
+        });
+    } catch (e) {
+        this._warn('metric hook error', {metric: name, error: e});
     }
 };
 
 centrifugeProto._websocketSupported = function () {
+    if (this._config.websocket !== null) {
+        return true;
+    }
     return !(typeof WebSocket !== 'function' && typeof WebSocket !== 'object')
 };
 
@@ -387,21 +678,42 @@ centrifugeProto._rawWebsocketEndpoint = function () {
 };
 
 centrifugeProto._configure = function (configuration) {
-    this._debug('Configuring centrifuge object with', configuration);
-
     if (!configuration) {
         configuration = {};
     }
 
     this._config = mixin(false, this._config, configuration);
 
+    if (this._config.logger !== null && typeof this._config.logger !== 'object') {
+        throw new CentrifugeError('config', 'logger option must be an object with debug, info, warn and error methods');
+    }
+    var logLevel = this._config.logLevel;
+    if (logLevel === null) {
+        if (this._config.debug === true) {
+            logLevel = 'debug';
+        } else {
+            // keep console quiet by default, custom logger gets info entries.
+            logLevel = this._config.logger !== null ? 'info' : 'warn';
+        }
+    }
+    if (!logLevels.hasOwnProperty(logLevel)) {
+        throw new CentrifugeError('config', 'unknown logLevel ' + logLevel);
+    }
+    this._logger = new Logger({
+        logger: this._config.logger,
+        level: logLevel,
+        redact: this._config.logRedact
+    });
+
+    this._debug('configuring centrifuge object', {configuration: configuration});
+
     if (!this._config.url) {
-        throw 'Missing required configuration parameter \'url\' specifying server URL';
+        throw new CentrifugeError('config', 'Missing required configuration parameter \'url\' specifying server URL');
     }
 
     if (!this._config.user && this._config.user !== '') {
         if (!this._config.insecure) {
-            throw 'Missing required configuration parameter \'user\' specifying user\'s unique ID in your application';
+            throw new CentrifugeError('config', 'Missing required configuration parameter \'user\' specifying user\'s unique ID in your application');
         } else {
             this._debug('user not found but this is OK for insecure mode - anonymous access will be used');
             this._config.user = '';
@@ -410,22 +722,45 @@ centrifugeProto._configure = function (configuration) {
 
     if (!this._config.timestamp) {
         if (!this._config.insecure) {
-            throw 'Missing required configuration parameter \'timestamp\'';
+            throw new CentrifugeError('config', 'Missing required configuration parameter \'timestamp\'');
         } else {
-            this._debug('token not found but this is OK for insecure mode');
+            this._debug('timestamp not found but this is OK for insecure mode');
         }
     }
 
     if (!this._config.token) {
         if (!this._config.insecure) {
-            throw 'Missing required configuration parameter \'token\' specifying the sign of authorization request';
+            throw new CentrifugeError('config', 'Missing required configuration parameter \'token\' specifying the sign of authorization request');
         } else {
-            this._debug('timestamp not found but this is OK for insecure mode');
+            this._debug('token not found but this is OK for insecure mode');
         }
     }
 
     this._config.url = stripSlash(this._config.url);
 
+    this._configureAuthResolvers();
+
+    if (this._config.codec !== null) {
+        this._debug('use custom codec', {codec: this._config.codec.name});
+        this._codec = this._config.codec;
+    }
+
+    if (this._config.transport !== null) {
+        if (!isFunction(this._config.transport)) {
+            throw new CentrifugeError('config', 'transport option must be a function returning transport object');
+        }
+        this._debug('client will connect using custom transport');
+        return;
+    }
+
+    if (this._codec.binary) {
+        if (endsWith(this._config.url, 'connection')) {
+            throw new CentrifugeError('config', 'binary codec can only be used with raw Websocket connection endpoint');
+        }
+        this._debug('binary codec used, client will connect to raw Websocket endpoint');
+        return;
+    }
+
     if (endsWith(this._config.url, 'connection')) {
         this._debug('client will connect to SockJS endpoint');
         if (this._config.sockJS !== null) {
@@ -433,7 +768,7 @@ centrifugeProto._configure = function (configuration) {
             this._sockJS = this._config.sockJS;
         } else {
             if (typeof SockJS === 'undefined') {
-                throw 'include SockJS client library before Centrifuge javascript client library or provide SockJS object in options or use raw Websocket connection endpoint';
+                throw new CentrifugeError('config', 'include SockJS client library before Centrifuge javascript client library or provide SockJS object in options or use raw Websocket connection endpoint');
             }
             this._debug('use globally defined SockJS');
             this._sockJS = SockJS;
@@ -456,13 +791,61 @@ centrifugeProto._configure = function (configuration) {
     }
 };
 
+centrifugeProto._configureAuthResolvers = function () {
+    var config = this._config;
+    var resolver = function (options) {
+        return {
+            pattern: options.pattern || null,
+            regexp: options.pattern ? patternRegExp(options.pattern) : null,
+            endpoint: options.endpoint || config.authEndpoint,
+            headers: options.headers || config.authHeaders,
+            params: options.params || config.authParams,
+            transport: options.transport || config.authTransport,
+            onAuth: options.onAuth || null
+        };
+    };
+    this._defaultAuthResolver = resolver({onAuth: config.onPrivateChannelAuth});
+    this._authResolvers = [];
+    for (var i = 0; i < config.authResolvers.length; i++) {
+        var options = config.authResolvers[i];
+        if (!options || !isString(options.pattern)) {
+            throw new CentrifugeError('config', 'auth resolver must have pattern string');
+        }
+        this._authResolvers.push(resolver(options));
+    }
+};
+
 centrifugeProto._setStatus = function (newStatus) {
     if (this._status !== newStatus) {
-        this._debug('Status', this._status, '->', newStatus);
+        this._debug('status changed', {oldStatus: this._status, newStatus: newStatus});
         this._status = newStatus;
     }
 };
 
+/**
+ * Public client state:
+ *
+ *   disconnected - initial state, connect was never called
+ *   connecting   - connecting for the first time after connect call
+ *   connected    - connected to server
+ *   reconnecting - connection lost, client will reconnect
+ *   closed       - disconnected without reconnect: by client, by server
+ *                  advice or when reconnect strategy gave up
+ */
+centrifugeProto._setState = function (newState, cause) {
+    if (this._state === newState) {
+        return;
+    }
+    var oldState = this._state;
+    this._debug('state changed', {oldState: oldState, newState: newState, cause: cause});
+    this._state = newState;
+    this.trigger('state', [{
+        oldState: oldState,
+        newState: newState,
+        cause: cause
+    }]);
+};
+
 centrifugeProto._isDisconnected = function () {
     return this._status === 'disconnected';
 };
@@ -480,31 +863,246 @@ centrifugeProto._nextMessageId = function () {
 };
 
 centrifugeProto._resetRetry = function () {
-    this._debug('reset retries count to 0');
+    this._log('debug', 'reconnect', 'reset retries count to 0');
     this._retries = 0;
 };
 
+centrifugeProto._reconnectStrategy = function () {
+    var strategy = this._config.reconnectStrategy;
+    if (strategy === null) {
+        strategy = reconnect.exponential({
+            min: this._config.retry,
+            max: this._config.maxRetry
+        });
+    }
+    return strategy;
+};
+
+// returns null when reconnect strategy gives up.
 centrifugeProto._getRetryInterval = function () {
-    var interval = backoff(this._retries, this._config.retry, this._config.maxRetry);
+    var strategy = this._reconnectStrategy();
+    var interval = isFunction(strategy) ? strategy(this._retries) : strategy.delay(this._retries);
+    if (interval === null || interval === undefined) {
+        return null;
+    }
     this._retries += 1;
     return interval;
 };
 
+centrifugeProto._scheduleReconnect = function () {
+    var self = this;
+    if (this._reconnectSuspended()) {
+        // reconnect when network is back or tab becomes visible.
+        this._log('debug', 'reconnect', 'reconnect postponed');
+        this._reconnecting = true;
+        this._reconnectPostponed = true;
+        return;
+    }
+    var interval = this._getRetryInterval();
+    if (interval === null) {
+        this._log('info', 'reconnect', 'reconnect strategy gave up', {attempts: this._retries});
+        this._stopReconnecting('reconnect failed');
+        return;
+    }
+    this._reconnecting = true;
+    this._log('debug', 'reconnect', 'reconnect scheduled', {attempt: this._retries, delay: interval});
+    this._reconnectTimeout = setTimeout(function () {
+        self._reconnectTimeout = null;
+        if (self._reconnect === true) {
+            self._connect.call(self);
+        }
+    }, interval);
+    this._metric('reconnects', 1, {attempt: this._retries, delay: interval});
+    this.trigger('reconnecting', [{
+        attempt: this._retries,
+        delay: interval
+    }]);
+};
+
+centrifugeProto._clearReconnectTimeout = function () {
+    if (this._reconnectTimeout !== null) {
+        clearTimeout(this._reconnectTimeout);
+        this._reconnectTimeout = null;
+    }
+};
+
+centrifugeProto._isWaitingReconnect = function () {
+    return this._reconnectTimeout !== null || this._reconnectPostponed;
+};
+
+// moves client waiting for reconnect into terminal disconnected state.
+centrifugeProto._stopReconnecting = function (reason) {
+    this._clearReconnectTimeout();
+    this._reconnectPostponed = false;
+    this._removeNetworkListeners();
+    this._reconnect = false;
+    this._reconnecting = false;
+    this._resetRetry();
+    this._disconnectedAt = null;
+    this._abortHTTPRequests(null);
+    this._clearConnectedState(false);
+    this._setState('closed', reason);
+    var disconnectContext = {
+        reason: reason,
+        reconnect: false
+    };
+    this.trigger('disconnect', [disconnectContext]);
+    this._rejectConnectWaiters(this._createError('disconnected', reason, 'fix'));
+};
+
+centrifugeProto._isOffline = function () {
+    return !!global.navigator && global.navigator.onLine === false;
+};
+
+centrifugeProto._isHidden = function () {
+    return !!global.document && global.document.visibilityState === 'hidden';
+};
+
+centrifugeProto._reconnectSuspended = function () {
+    if (!this._config.networkAware) {
+        return false;
+    }
+    if (this._isOffline()) {
+        return true;
+    }
+    // hidden tab reconnects normally until hiddenTimeout passed.
+    return this._hiddenExpired && this._isHidden();
+};
+
+// reconnect immediately with reset backoff if client waits for reconnect.
+centrifugeProto._resumeReconnect = function () {
+    if (!this._reconnect || !this.isDisconnected() || !this._isWaitingReconnect()) {
+        return;
+    }
+    if (this._reconnectSuspended()) {
+        return;
+    }
+    this._log('debug', 'reconnect', 'reconnect resumed');
+    this._reconnectPostponed = false;
+    this._resetRetry();
+    this._connect();
+};
+
+centrifugeProto._onOnline = function () {
+    this._debug('network online');
+    this._resumeReconnect();
+};
+
+centrifugeProto._onOffline = function () {
+    this._debug('network offline');
+    if (this._reconnectTimeout !== null) {
+        // do not waste reconnect attempts while offline.
+        this._clearReconnectTimeout();
+        this._reconnectPostponed = true;
+    }
+};
+
+centrifugeProto._onVisibilityChange = function () {
+    var self = this;
+    if (this._isHidden()) {
+        if (this._config.hiddenTimeout !== null && this._hiddenTimeout === null && !this._hiddenExpired) {
+            this._hiddenTimeout = setTimeout(function () {
+                self._hiddenTimeout = null;
+                self._hiddenExpired = true;
+                self._debug('disconnect hidden tab');
+                if (self._reconnectTimeout !== null) {
+                    // tab was reconnecting, stop until it becomes visible.
+                    self._clearReconnectTimeout();
+                    self._reconnectPostponed = true;
+                }
+                self._disconnect('hidden', true);
+            }, this._config.hiddenTimeout);
+        }
+        return;
+    }
+    if (this._hiddenTimeout !== null) {
+        clearTimeout(this._hiddenTimeout);
+        this._hiddenTimeout = null;
+    }
+    this._hiddenExpired = false;
+    this._resumeReconnect();
+};
+
+centrifugeProto._addNetworkListeners = function () {
+    if (!this._config.networkAware || this._networkListeners !== null) {
+        return;
+    }
+    var self = this;
+    var listeners = {
+        online: function () {
+            self._onOnline();
+        },
+        offline: function () {
+            self._onOffline();
+        },
+        visibilitychange: function () {
+            self._onVisibilityChange();
+        }
+    };
+    if (isFunction(global.addEventListener)) {
+        global.addEventListener('online', listeners.online);
+        global.addEventListener('offline', listeners.offline);
+    }
+    if (global.document && isFunction(global.document.addEventListener)) {
+        global.document.addEventListener('visibilitychange', listeners.visibilitychange);
+    }
+    this._networkListeners = listeners;
+    if (this._isHidden()) {
+        // start hidden timer for tab connecting while hidden.
+        this._onVisibilityChange();
+    }
+};
+
+centrifugeProto._removeNetworkListeners = function () {
+    var listeners = this._networkListeners;
+    if (listeners === null) {
+        return;
+    }
+    if (isFunction(global.removeEventListener)) {
+        global.removeEventListener('online', listeners.online);
+        global.removeEventListener('offline', listeners.offline);
+    }
+    if (global.document && isFunction(global.document.removeEventListener)) {
+        global.document.removeEventListener('visibilitychange', listeners.visibilitychange);
+    }
+    this._networkListeners = null;
+    if (this._hiddenTimeout !== null) {
+        clearTimeout(this._hiddenTimeout);
+        this._hiddenTimeout = null;
+    }
+    this._hiddenExpired = false;
+};
+
 centrifugeProto._clearConnectedState = function (reconnect) {
     this._clientID = null;
+    this._pingUID = null;
+    this._pingStart = null;
+    this._pingSamples = [];
+
+    // subscriptions will be authorized again after reconnect.
+    for (var i = 0; i < this._authRetryTimeouts.length; i++) {
+        clearTimeout(this._authRetryTimeouts[i]);
+    }
+    this._authRetryTimeouts = [];
+    this._authRetries = {};
+    this._authFailed = {};
 
     // fire errbacks of registered calls.
     for (var uid in this._callbacks) {
         if (this._callbacks.hasOwnProperty(uid)) {
-            var callbacks = this._callbacks[uid];
+            var callbacks = this._removeCall(uid, 'disconnected');
             var errback = callbacks.errback;
             if (!errback) {
                 continue;
             }
-            errback(this._createErrorObject('disconnected', 'retry'));
+            errback(this._createError('disconnected', 'disconnected', 'retry', callbacks.channel));
         }
     }
-    this._callbacks = {};
+
+    if (!reconnect) {
+        // before subscriptions are unsubscribed so drop reason is disconnect.
+        this._dropQueuedPublishes(null, 'disconnected');
+    }
 
     // fire unsubscribe events
     for (var channel in this._subs) {
@@ -536,54 +1134,76 @@ centrifugeProto._send = function (messages) {
         // to parse array compared to parse single object client request.
         messages = messages[0];
     }
-    this._debug('Send', messages);
-    this._transport.send(JSON.stringify(messages));
+    this._log('debug', 'transport', 'send', {messages: messages});
+    var frame = this._codec.encode(messages);
+    if (this._config.onMetric !== null) {
+        this._metric('bytes_sent', frameSize(frame), {transport: this._transportName});
+    }
+    this._transport.send(frame);
 };
 
-centrifugeProto._setupTransport = function () {
-
-    var self = this;
-
-    this._isSockJS = false;
+centrifugeProto._createTransport = function () {
+    if (this._config.transport !== null) {
+        return this._config.transport(this._config.url, this._config);
+    }
 
     // detect transport to use - SockJS or raw Websocket
     if (this._sockJS !== null) {
-        var sockjsOptions = {
-            transports: this._config.transports
-        };
-        if (this._config.server !== null) {
-            sockjsOptions.server = this._config.server;
-        }
-        this._isSockJS = true;
-        this._transport = new this._sockJS(this._sockjsEndpoint(), null, sockjsOptions);
-    } else {
-        if (!this._websocketSupported()) {
-            this._debug('No Websocket support and no SockJS configured, can not connect');
-            return;
-        }
-        this._transport = new WebSocket(this._rawWebsocketEndpoint());
+        return new SockJSTransport(this._sockjsEndpoint(), {
+            sockJS: this._sockJS,
+            transports: this._config.transports,
+            server: this._config.server
+        });
     }
+    if (!this._websocketSupported()) {
+        this._log('error', 'transport', 'no Websocket support and no SockJS configured, can not connect');
+        return null;
+    }
+    return new WebSocketTransport(this._rawWebsocketEndpoint(), {
+        websocket: this._config.websocket,
+        binaryType: this._codec.binary ? 'arraybuffer' : null
+    });
+};
 
-    this._transport.onopen = function () {
-        self._transportClosed = false;
-        self._reconnecting = false;
+centrifugeProto._setupTransport = function () {
 
-        if (self._isSockJS) {
-            self._transportName = self._transport.transport;
-            self._transport.onheartbeat = function () {
-                self._restartPing();
-            };
-        } else {
-            self._transportName = 'raw-websocket';
+    var self = this;
+
+    var transport = this._createTransport();
+    if (transport === null) {
+        this._rejectConnectWaiters(new CentrifugeError('config', 'no transport available to connect', {advice: 'fix'}));
+        this._disconnect('no transport', false);
+        return;
+    }
+    this._transport = transport;
+    this._transportConnecting = true;
+
+    transport.onOpen = function () {
+        if (transport !== self._transport) {
+            // client disconnected and connected again with new transport
+            // while this one was establishing connection.
+            self._log('debug', 'transport', 'stale transport opened, closing');
+            transport.close();
+            return;
+        }
+        self._transportConnecting = false;
+        if (self.isDisconnected()) {
+            // client disconnected while transport was establishing connection.
+            self._log('debug', 'transport', 'transport opened in disconnected state, closing');
+            transport.close();
+            return;
         }
+        self._transportClosed = false;
+        self._reconnecting = false;
+        self._transportName = transport.name;
 
         self._resetRetry();
 
         if (!isString(self._config.user)) {
-            self._log('user expected to be string');
+            self._warn('user expected to be string');
         }
         if (!isString(self._config.info)) {
-            self._log('info expected to be string');
+            self._warn('info expected to be string');
         }
 
         var msg = {
@@ -599,33 +1219,48 @@ centrifugeProto._setupTransport = function () {
             msg.params.timestamp = self._config.timestamp;
             msg.params.token = self._config.token;
             if (!isString(self._config.timestamp)) {
-                self._log('timestamp expected to be string');
+                self._warn('timestamp expected to be string');
             }
             if (!isString(self._config.token)) {
-                self._log('token expected to be string');
+                self._warn('token expected to be string');
             }
         }
         self._addMessage(msg);
         self._latencyStart = new Date();
     };
 
-    this._transport.onerror = function (error) {
-        self._debug('transport level error', error);
+    transport.onHeartbeat = function () {
+        if (transport !== self._transport) {
+            return;
+        }
+        self._restartPing();
+    };
+
+    transport.onError = function (error) {
+        if (transport !== self._transport) {
+            return;
+        }
+        self._log('debug', 'transport', 'transport level error', {error: error});
     };
 
-    this._transport.onclose = function (closeEvent) {
+    transport.onClose = function (closeEvent) {
+        if (transport !== self._transport) {
+            self._resolveCloseWaiters(transport);
+            return;
+        }
         self._transportClosed = true;
+        self._transportConnecting = false;
         var reason = 'connection closed';
         var needReconnect = true;
         if (closeEvent && 'reason' in closeEvent && closeEvent.reason) {
             try {
                 var advice = JSON.parse(closeEvent.reason);
-                self._debug('reason is an advice object', advice);
+                self._log('debug', 'transport', 'reason is an advice object', {advice: advice});
                 reason = advice.reason;
                 needReconnect = advice.reconnect;
             } catch (e) {
                 reason = closeEvent.reason;
-                self._debug('reason is a plain string', reason);
+                self._log('debug', 'transport', 'reason is a plain string', {reason: reason});
                 needReconnect = reason !== 'disconnect';
             }
         }
@@ -644,29 +1279,45 @@ centrifugeProto._setupTransport = function () {
 
         self._disconnect(reason, needReconnect);
 
+        self._resolveCloseWaiters(transport);
+
         if (self._reconnect === true) {
-            self._reconnecting = true;
-            var interval = self._getRetryInterval();
-            self._debug('reconnect after ' + interval + ' milliseconds');
-            setTimeout(function () {
-                if (self._reconnect === true) {
-                    self._connect.call(self);
-                }
-            }, interval);
+            self._scheduleReconnect();
         }
 
     };
 
-    this._transport.onmessage = function (event) {
+    transport.onMessage = function (frame) {
+        if (transport !== self._transport) {
+            return;
+        }
+        if (self._config.onMetric !== null) {
+            self._metric('bytes_received', frameSize(frame), {transport: transport.name});
+        }
         var data;
-        data = JSON.parse(event.data);
-        self._debug('Received', data);
+        data = self._codec.decode(frame);
+        self._log('debug', 'transport', 'received', {data: data});
         self._receive(data);
         self._restartPing();
     };
+
+    transport.open();
 };
 
-centrifugeProto._connect = function (callback) {
+// resolve disconnect promises waiting for transport to close.
+centrifugeProto._resolveCloseWaiters = function (transport) {
+    var waiters = this._closeWaiters;
+    this._closeWaiters = [];
+    for (var i = 0; i < waiters.length; i++) {
+        if (waiters[i].transport === transport) {
+            waiters[i].resolve();
+        } else {
+            this._closeWaiters.push(waiters[i]);
+        }
+    }
+};
+
+centrifugeProto._connect = function () {
 
     if (this.isConnected()) {
         this._debug('connect called when already connected');
@@ -679,29 +1330,45 @@ centrifugeProto._connect = function (callback) {
 
     this._debug('start connecting');
 
+    this._clearReconnectTimeout();
+    this._reconnectPostponed = false;
+    this._addNetworkListeners();
     this._setStatus('connecting');
+    if (this._state === 'disconnected' || this._state === 'closed') {
+        this._setState('connecting', 'connect');
+    }
 
     this._clientID = null;
     this._reconnect = true;
 
-    if (callback) {
-        this.on('connect', callback);
-    }
-
     this._setupTransport();
 };
 
 centrifugeProto._disconnect = function (reason, shouldReconnect) {
 
     if (this.isDisconnected()) {
+        if (!shouldReconnect && this._isWaitingReconnect()) {
+            // client was waiting for reconnect.
+            this._stopReconnecting(reason);
+        }
         return;
     }
 
-    this._debug('disconnected:', reason, shouldReconnect);
+    this._info('disconnected', {reason: reason, reconnect: shouldReconnect});
+
+    this._stopPing();
 
     var reconnect = shouldReconnect || false;
+
+    // signs are tied to client id so auth requests are useless now, refresh
+    // is still required to reconnect.
+    this._abortHTTPRequests(reconnect ? 'auth' : null);
     if (reconnect === false) {
         this._reconnect = false;
+        this._removeNetworkListeners();
+        this._disconnectedAt = null;
+    } else if (this._disconnectedAt === null) {
+        this._disconnectedAt = now();
     }
 
     this._clearConnectedState(reconnect);
@@ -711,11 +1378,20 @@ centrifugeProto._disconnect = function (reason, shouldReconnect) {
         if (this._refreshTimeout) {
             clearTimeout(this._refreshTimeout);
         }
+        if (reconnect === false) {
+            this._setState('closed', reason);
+        } else if (this._state === 'connected') {
+            this._setState('reconnecting', reason);
+        }
+        var disconnectContext = {
+            reason: reason,
+            reconnect: reconnect
+        };
         if (this._reconnecting === false) {
-            this.trigger('disconnect', [{
-                reason: reason,
-                reconnect: reconnect
-            }]);
+            this.trigger('disconnect', [disconnectContext]);
+        }
+        if (reconnect === false) {
+            this._rejectConnectWaiters(this._createError('disconnected', reason, 'fix'));
         }
     }
 
@@ -724,13 +1400,41 @@ centrifugeProto._disconnect = function (reason, shouldReconnect) {
     }
 };
 
+centrifugeProto._connectContext = function () {
+    return {
+        client: this._clientID,
+        transport: this._transportName,
+        latency: this._latency
+    };
+};
+
+centrifugeProto._resolveConnectWaiters = function (ctx) {
+    var waiters = this._connectWaiters;
+    this._connectWaiters = [];
+    for (var i = 0; i < waiters.length; i++) {
+        waiters[i].resolve(ctx);
+    }
+};
+
+centrifugeProto._rejectConnectWaiters = function (err) {
+    var waiters = this._connectWaiters;
+    this._connectWaiters = [];
+    for (var i = 0; i < waiters.length; i++) {
+        waiters[i].reject(err);
+    }
+};
+
 centrifugeProto._refreshFailed = function () {
     this._numRefreshFailed = 0;
-    if (!this.isDisconnected()) {
-        this._disconnect('refresh failed', false);
-    }
+    this._metric('refreshes', 1, {status: 'failed'});
+    // disconnect also stops client waiting for reconnect.
+    this._disconnect('refresh failed', false);
+    var err = this._createError('refresh_failed', 'refresh failed', 'fix');
+    this.trigger('error', [{
+        error: err
+    }]);
     if (this._config.refreshFailed !== null) {
-        this._config.refreshFailed();
+        this._config.refreshFailed(err);
     }
 };
 
@@ -738,10 +1442,10 @@ centrifugeProto._refresh = function () {
     // ask web app for connection parameters - user ID,
     // timestamp, info and token
     var self = this;
-    this._debug('refresh credentials');
+    this._log('debug', 'auth', 'refresh credentials');
 
     if (self._config.refreshAttempts === 0) {
-        this._debug('refresh attempts set to 0, do not send refresh request at all');
+        this._log('debug', 'auth', 'refresh attempts set to 0, do not send refresh request at all');
         self._refreshFailed();
         return;
     }
@@ -750,11 +1454,15 @@ centrifugeProto._refresh = function () {
         clearTimeout(self._refreshTimeout);
     }
 
+    var start = now();
+
     var cb = function (error, data) {
+        self._metric('refresh_duration', now() - start, {status: error === true ? 'error' : 'ok'});
         if (error === true) {
             // We don't perform any connection status related actions here as we are
             // relying on Centrifugo that must close connection eventually.
-            self._debug('error getting connection credentials from refresh endpoint', data);
+            self._log('warn', 'auth', 'error getting connection credentials from refresh endpoint', {data: data});
+            self._metric('refreshes', 1, {status: 'error'});
             self._numRefreshFailed++;
             if (self._refreshTimeout) {
                 clearTimeout(self._refreshTimeout);
@@ -769,6 +1477,7 @@ centrifugeProto._refresh = function () {
             return;
         }
         self._numRefreshFailed = 0;
+        self._metric('refreshes', 1, {status: 'ok'});
         self._config.user = data.user;
         self._config.timestamp = data.timestamp;
         if ('info' in data) {
@@ -776,10 +1485,10 @@ centrifugeProto._refresh = function () {
         }
         self._config.token = data.token;
         if (self.isDisconnected()) {
-            self._debug('credentials refreshed, connect from scratch');
+            self._log('debug', 'auth', 'credentials refreshed, connect from scratch');
             self._connect();
         } else {
-            self._debug('send refreshed credentials');
+            self._log('debug', 'auth', 'send refreshed credentials');
             self._addMessage({
                 method: 'refresh',
                 params: {
@@ -798,11 +1507,11 @@ centrifugeProto._refresh = function () {
     } else {
         var transport = this._config.refreshTransport.toLowerCase();
         if (transport === 'ajax') {
-            this._ajax(this._config.refreshEndpoint, this._config.refreshParams, this._config.refreshHeaders, this._config.refreshData, cb);
+            this._httpRequest('refresh', this._config.refreshEndpoint, this._config.refreshParams, this._config.refreshHeaders, this._config.refreshData, cb);
         } else if (transport === 'jsonp') {
-            this._jsonp(this._config.refreshEndpoint, this._config.refreshParams, this._config.refreshHeaders, this._config.refreshData, cb);
+            this._jsonp('refresh', this._config.refreshEndpoint, this._config.refreshParams, this._config.refreshHeaders, this._config.refreshData, cb);
         } else {
-            throw 'Unknown refresh transport ' + transport;
+            throw new CentrifugeError('config', 'Unknown refresh transport ' + transport);
         }
     }
 };
@@ -823,6 +1532,11 @@ centrifugeProto._subscribe = function (sub) {
 
     sub._setSubscribing();
 
+    if (!this._restorePosition(sub)) {
+        // subscribe will be called again when position loaded from store.
+        return;
+    }
+
     var msg = {
         method: 'subscribe',
         params: {
@@ -830,11 +1544,11 @@ centrifugeProto._subscribe = function (sub) {
         }
     };
 
-    // If channel name does not start with privateChannelPrefix - then we
-    // can just send subscription message to Centrifuge. If channel name
-    // starts with privateChannelPrefix - then this is a private channel
-    // and we should ask web application backend for permission first.
-    if (startsWith(channel, this._config.privateChannelPrefix)) {
+    // If channel name does not start with privateChannelPrefix and does not
+    // match any of auth resolvers - then we can just send subscription message
+    // to Centrifuge. Otherwise this is a private channel and we should ask web
+    // application backend for permission first.
+    if (this._authResolver(channel) !== null) {
         // private channel
         if (this._isAuthBatching) {
             this._authChannels[channel] = true;
@@ -853,6 +1567,99 @@ centrifugeProto._subscribe = function (sub) {
     }
 };
 
+/**
+ * Find auth resolver for private channel: first of authResolvers with pattern
+ * matching channel or default resolver built from global auth options for
+ * channels starting with privateChannelPrefix. Null for public channels.
+ */
+centrifugeProto._authResolver = function (channel) {
+    for (var i = 0; i < this._authResolvers.length; i++) {
+        if (this._authResolvers[i].regexp.test(channel)) {
+            return this._authResolvers[i];
+        }
+    }
+    if (startsWith(channel, this._config.privateChannelPrefix)) {
+        return this._defaultAuthResolver;
+    }
+    return null;
+};
+
+/**
+ * Restore last message uid for subscription channel from position store so
+ * client can recover messages missed before page reload. Returns false if
+ * store is asynchronous and position is still loading.
+ */
+centrifugeProto._restorePosition = function (sub) {
+    var store = this._config.positionStore;
+    var channel = sub.channel;
+    if (store === null || channel in this._lastMessageID || this._positionsRestored[channel]) {
+        return true;
+    }
+    if (this._positionsLoading[channel]) {
+        return false;
+    }
+
+    var self = this;
+
+    var restored = function (uid) {
+        self._positionsRestored[channel] = true;
+        if (uid && !(channel in self._lastMessageID)) {
+            self._log('debug', 'subscription', 'position restored', {channel: channel, uid: uid});
+            self._lastMessageID[channel] = uid;
+        }
+    };
+
+    var result;
+    try {
+        result = store.get(channel);
+    } catch (e) {
+        this._log('warn', 'subscription', 'error getting position from store', {channel: channel, error: e});
+        restored(null);
+        return true;
+    }
+
+    if (result && isFunction(result.then)) {
+        this._positionsLoading[channel] = true;
+        var loaded = function (uid) {
+            delete self._positionsLoading[channel];
+            restored(uid);
+            if (self.isConnected() && sub._isSubscribing() && self._getSub(channel) === sub) {
+                self._subscribe(sub);
+            }
+        };
+        result.then(loaded, function (err) {
+            self._log('warn', 'subscription', 'error getting position from store', {channel: channel, error: err});
+            loaded(null);
+        });
+        return false;
+    }
+
+    restored(result);
+    return true;
+};
+
+centrifugeProto._savePosition = function (channel, uid) {
+    this._lastMessageID[channel] = uid;
+    if (this._config.positionStore === null) {
+        return;
+    }
+    var self = this;
+    var failed = function (err) {
+        // position is not critical, message is delivered anyway.
+        self._log('warn', 'subscription', 'error saving position to store', {channel: channel, error: err});
+    };
+    var result;
+    try {
+        result = this._config.positionStore.set(channel, uid);
+    } catch (e) {
+        failed(e);
+        return;
+    }
+    if (result && isFunction(result.then)) {
+        result.then(null, failed);
+    }
+};
+
 centrifugeProto._unsubscribe = function (sub) {
     if (this.isConnected()) {
         // No need to unsubscribe in disconnected state - i.e. client already unsubscribed.
@@ -927,25 +1734,36 @@ centrifugeProto._connectResponse = function (message) {
             this.stopBatching(true);
         }
 
+        this._setState('connected', 'connect');
         this._restartPing();
-        this.trigger('connect', [{
-            client: message.body.client,
-            transport: this._transportName,
-            latency: this._latency
-        }]);
+        this._metric('connect_latency', this._latency, {transport: this._transportName});
+        if (this._disconnectedAt !== null) {
+            this._metric('disconnected_time', now() - this._disconnectedAt, {});
+            this._disconnectedAt = null;
+        }
+        var ctx = this._connectContext();
+        this.trigger('connect', [ctx]);
+        this._resolveConnectWaiters(ctx);
     } else {
+        var err = this._errorFromMessage(message);
         this.trigger('error', [{
-            message: message
+            message: message,
+            error: err
         }]);
+        this._rejectConnectWaiters(err);
+        // server advice tells whether connecting again can succeed.
+        this._disconnect(err.message, err.advice === 'retry');
     }
 };
 
 centrifugeProto._stopPing = function () {
     if (this._pongTimeout !== null) {
         clearTimeout(this._pongTimeout);
+        this._pongTimeout = null;
     }
     if (this._pingInterval !== null) {
         clearInterval(this._pingInterval);
+        this._pingInterval = null;
     }
 };
 
@@ -967,10 +1785,29 @@ centrifugeProto._startPing = function () {
         self.ping();
         self._pongTimeout = setTimeout(function () {
             self._disconnect('no ping', true);
-        }, self._config.pongWaitTimeout);
+        }, self._pongWaitTimeout());
     }, this._config.pingInterval);
 };
 
+/**
+ * With adaptivePongTimeout option client waits for pong three times longer
+ * than 95th percentile of observed round trip time, but not less than
+ * minPongWaitTimeout and not more than pingInterval - so timeout is shorter
+ * than pongWaitTimeout on fast networks and longer on slow ones.
+ * pongWaitTimeout is used until first round trip measured.
+ */
+centrifugeProto._pongWaitTimeout = function () {
+    var timeout = this._config.pongWaitTimeout;
+    if (!this._config.adaptivePongTimeout) {
+        return timeout;
+    }
+    var latency = this.getLatency();
+    if (latency === null) {
+        return timeout;
+    }
+    return Math.max(this._config.minPongWaitTimeout, Math.min(this._config.pingInterval, 3 * latency.p95));
+};
+
 centrifugeProto._restartPing = function () {
     this._stopPing();
     this._startPing();
@@ -989,7 +1826,8 @@ centrifugeProto._disconnectResponse = function (message) {
         this._disconnect(reason, shouldReconnect);
     } else {
         this.trigger('error', [{
-            message: message
+            message: message,
+            error: this._errorFromMessage(message)
         }]);
     }
 };
@@ -1011,33 +1849,48 @@ centrifugeProto._subscribeResponse = function (message) {
     }
 
     if (!errorExists(message)) {
-        var messages = body.messages;
-        if (messages && messages.length > 0) {
-            // handle missed messages
-            messages = messages.reverse();
-            for (var i in messages) {
-                if (messages.hasOwnProperty(i)) {
-                    this._messageResponse({
-                        body: messages[i]
-                    });
-                }
-            }
-        } else {
-            if ('last' in body) {
-                // no missed messages found so set last message id from body.
-                this._lastMessageID[channel] = body.last;
-            }
-        }
         var recovered = false;
         if ('recovered' in body) {
             recovered = body.recovered;
         }
+        var lastUID = this._lastMessageID[channel];
+        var backfill = sub._backfill && !recovered && this._recover(channel);
+        if (backfill) {
+            // missed messages will be loaded from history, live messages
+            // wait in buffer until then.
+            if (sub._buffer === null) {
+                sub._buffer = [];
+            }
+        } else {
+            var messages = body.messages;
+            if (messages && messages.length > 0) {
+                // handle missed messages
+                messages = messages.reverse();
+                for (var i in messages) {
+                    if (messages.hasOwnProperty(i)) {
+                        this._deliverMessage(channel, messages[i]);
+                    }
+                }
+            } else {
+                if ('last' in body) {
+                    // no missed messages found so set last message id from body.
+                    this._savePosition(channel, body.last);
+                }
+            }
+        }
         sub._setSubscribeSuccess(recovered);
+        if (backfill) {
+            this._backfillHistory(sub, lastUID);
+        } else if (sub._buffer !== null) {
+            this._flushBuffer(sub, {});
+        }
     } else {
+        var err = this._errorFromMessage(message);
         this.trigger('error', [{
-            message: message
+            message: message,
+            error: err
         }]);
-        sub._setSubscribeError(this._errorObjectFromMessage(message));
+        sub._setSubscribeError(err);
     }
 };
 
@@ -1060,19 +1913,19 @@ centrifugeProto._unsubscribeResponse = function (message) {
         // already unsubscribed on client level.
     } else {
         this.trigger('error', [{
-            message: message
+            message: message,
+            error: this._errorFromMessage(message)
         }]);
     }
 };
 
-centrifugeProto._publishResponse = function (message) {
+centrifugeProto._callResponse = function (message) {
     var uid = message.uid;
     var body = message.body;
-    if (!(uid in this._callbacks)) {
+    var callbacks = this._removeCall(uid, errorExists(message) ? 'error' : 'ok');
+    if (callbacks === null) {
         return;
     }
-    var callbacks = this._callbacks[uid];
-    delete this._callbacks[uid];
     if (!errorExists(message)) {
         var callback = callbacks.callback;
         if (!callback) {
@@ -1084,61 +1937,11 @@ centrifugeProto._publishResponse = function (message) {
         if (!errback) {
             return;
         }
-        errback(this._errorObjectFromMessage(message));
+        var err = this._errorFromMessage(message);
+        errback(err);
         this.trigger('error', [{
-            message: message
-        }]);
-    }
-};
-
-centrifugeProto._presenceResponse = function (message) {
-    var uid = message.uid;
-    var body = message.body;
-    if (!(uid in this._callbacks)) {
-        return;
-    }
-    var callbacks = this._callbacks[uid];
-    delete this._callbacks[uid];
-    if (!errorExists(message)) {
-        var callback = callbacks.callback;
-        if (!callback) {
-            return;
-        }
-        callback(body);
-    } else {
-        var errback = callbacks.errback;
-        if (!errback) {
-            return;
-        }
-        errback(this._errorObjectFromMessage(message));
-        this.trigger('error', [{
-            message: message
-        }]);
-    }
-};
-
-centrifugeProto._historyResponse = function (message) {
-    var uid = message.uid;
-    var body = message.body;
-    if (!(uid in this._callbacks)) {
-        return;
-    }
-    var callbacks = this._callbacks[uid];
-    delete this._callbacks[uid];
-    if (!errorExists(message)) {
-        var callback = callbacks.callback;
-        if (!callback) {
-            return;
-        }
-        callback(body);
-    } else {
-        var errback = callbacks.errback;
-        if (!errback) {
-            return;
-        }
-        errback(this._errorObjectFromMessage(message));
-        this.trigger('error', [{
-            message: message
+            message: message,
+            error: err
         }]);
     }
 };
@@ -1148,10 +1951,10 @@ centrifugeProto._joinResponse = function (message) {
     var channel = body.channel;
 
     var sub = this._getSub(channel);
-    if (!sub) {
-        return;
+    if (sub) {
+        sub.trigger('join', [body]);
     }
-    sub.trigger('join', [body]);
+    this._triggerPatternHandlers('join', channel, body);
 };
 
 centrifugeProto._leaveResponse = function (message) {
@@ -1159,24 +1962,128 @@ centrifugeProto._leaveResponse = function (message) {
     var channel = body.channel;
 
     var sub = this._getSub(channel);
-    if (!sub) {
-        return;
+    if (sub) {
+        sub.trigger('leave', [body]);
     }
-    sub.trigger('leave', [body]);
+    this._triggerPatternHandlers('leave', channel, body);
 };
 
 centrifugeProto._messageResponse = function (message) {
     var body = message.body;
     var channel = body.channel;
 
-    // keep last uid received from channel.
-    this._lastMessageID[channel] = body.uid;
+    this._metric('messages', 1, {channel: channel});
 
     var sub = this._getSub(channel);
-    if (!sub) {
+    if (sub !== null && sub._buffer !== null) {
+        // live messages wait until earlier (recovered) messages delivered.
+        sub._buffer.push(body);
         return;
     }
-    sub.trigger('message', [body]);
+    this._deliverMessage(channel, body);
+};
+
+centrifugeProto._deliverMessage = function (channel, body) {
+    var sub = this._getSub(channel);
+    if (sub !== null && !sub._markSeen(body.uid)) {
+        this._log('debug', 'subscription', 'duplicate message skipped', {channel: channel, uid: body.uid});
+        return;
+    }
+
+    // keep last uid received from channel.
+    this._savePosition(channel, body.uid);
+
+    if (sub) {
+        sub.trigger('message', [body]);
+    }
+    this._triggerPatternHandlers('message', channel, body);
+};
+
+centrifugeProto._triggerPatternHandlers = function (event, channel, ctx) {
+    // copy as handlers can be removed from inside of handler.
+    var handlers = this._patternHandlers.slice(0);
+    for (var i = 0; i < handlers.length; i++) {
+        var handler = handlers[i];
+        if (isFunction(handler.events[event]) && handler.regexp.test(channel)) {
+            handler.events[event].call(this, ctx);
+        }
+    }
+};
+
+/**
+ * Load messages missed since lastUID from channel history after subscription
+ * was not recovered by server. Messages found are delivered in order with
+ * `recovered: true` marker, `gap` event is fired when lastUID is not in
+ * history anymore or history request failed.
+ */
+centrifugeProto._backfillHistory = function (sub, lastUID) {
+    var self = this;
+    var channel = sub.channel;
+    var buffer = sub._buffer;
+
+    var active = function () {
+        // subscription can be unsubscribed or resubscribed while waiting.
+        return self._getSub(channel) === sub && sub._buffer === buffer;
+    };
+
+    this._log('debug', 'subscription', 'load missed messages from history', {channel: channel, uid: lastUID});
+
+    this._call('history', {channel: channel}).then(function (body) {
+        if (!active()) {
+            return;
+        }
+        var history = body.data || [];
+        var missed = [];
+        // empty lastUID means channel had no messages when client subscribed.
+        var found = lastUID === '';
+        // history comes in reverse order - newest messages first.
+        for (var i = 0; i < history.length; i++) {
+            if (history[i].uid === lastUID) {
+                found = true;
+                break;
+            }
+            missed.unshift(history[i]);
+        }
+        if (!found) {
+            self._backfillGap(sub, lastUID, null);
+        }
+        var delivered = {};
+        for (var j = 0; j < missed.length; j++) {
+            missed[j].recovered = true;
+            delivered[missed[j].uid] = true;
+            self._deliverMessage(channel, missed[j]);
+        }
+        self._flushBuffer(sub, delivered);
+    }, function (err) {
+        if (!active()) {
+            return;
+        }
+        self._backfillGap(sub, lastUID, err);
+        self._flushBuffer(sub, {});
+    });
+};
+
+centrifugeProto._backfillGap = function (sub, lastUID, err) {
+    this._log('info', 'subscription', 'missed messages can not be recovered', {
+        channel: sub.channel,
+        uid: lastUID,
+        error: err
+    });
+    sub.trigger('gap', [{
+        channel: sub.channel,
+        last: lastUID,
+        error: err
+    }]);
+};
+
+centrifugeProto._flushBuffer = function (sub, delivered) {
+    var buffer = sub._buffer;
+    sub._buffer = null;
+    for (var i = 0; i < buffer.length; i++) {
+        if (!delivered.hasOwnProperty(buffer[i].uid)) {
+            this._deliverMessage(sub.channel, buffer[i]);
+        }
+    }
 };
 
 centrifugeProto._refreshResponse = function (message) {
@@ -1200,21 +2107,22 @@ centrifugeProto._refreshResponse = function (message) {
         }
     } else {
         this.trigger('error', [{
-            message: message
+            message: message,
+            error: this._errorFromMessage(message)
         }]);
     }
 };
 
 centrifugeProto._dispatchMessage = function (message) {
     if (message === undefined || message === null) {
-        this._debug('dispatch: got undefined or null message');
+        this._warn('dispatch: got undefined or null message');
         return;
     }
 
     var method = message.method;
 
     if (!method) {
-        this._debug('dispatch: got message with empty method');
+        this._warn('dispatch: got message with empty method');
         return;
     }
 
@@ -1232,13 +2140,9 @@ centrifugeProto._dispatchMessage = function (message) {
             this._unsubscribeResponse(message);
             break;
         case 'publish':
-            this._publishResponse(message);
-            break;
         case 'presence':
-            this._presenceResponse(message);
-            break;
         case 'history':
-            this._historyResponse(message);
+            this._callResponse(message);
             break;
         case 'join':
             this._joinResponse(message);
@@ -1247,6 +2151,7 @@ centrifugeProto._dispatchMessage = function (message) {
             this._leaveResponse(message);
             break;
         case 'ping':
+            this._pingResponse(message);
             break;
         case 'refresh':
             this._refreshResponse(message);
@@ -1255,7 +2160,7 @@ centrifugeProto._dispatchMessage = function (message) {
             this._messageResponse(message);
             break;
         default:
-            this._debug('dispatch: got message with unknown method' + method);
+            this._warn('dispatch: got message with unknown method', {method: method});
             break;
     }
 };
@@ -1281,9 +2186,25 @@ centrifugeProto._flush = function () {
 };
 
 centrifugeProto._ping = function () {
-    this._addMessage({
+    this._pingUID = this._addMessage({
         method: 'ping'
     });
+    this._pingStart = now();
+};
+
+centrifugeProto._pingResponse = function (message) {
+    if (this._pingUID === null || message.uid !== this._pingUID) {
+        return;
+    }
+    var rtt = now() - this._pingStart;
+    this._pingUID = null;
+    this._pingStart = null;
+    this._metric('ping_rtt', rtt, {transport: this._transportName});
+    this._pingSamples.push(rtt);
+    if (this._pingSamples.length > Math.max(1, this._config.latencyWindow)) {
+        this._pingSamples.shift();
+    }
+    this.trigger('latency', [this.getLatency()]);
 };
 
 centrifugeProto._recover = function (channel) {
@@ -1293,40 +2214,214 @@ centrifugeProto._recover = function (channel) {
 centrifugeProto._getLastID = function (channel) {
     var lastUID = this._lastMessageID[channel];
     if (lastUID) {
-        this._debug('last uid found and sent for channel', channel);
+        this._log('debug', 'subscription', 'last uid found and sent', {channel: channel, uid: lastUID});
         return lastUID;
     } else {
-        this._debug('no last uid found for channel', channel);
+        this._log('debug', 'subscription', 'no last uid found', {channel: channel});
         return '';
     }
 };
 
-centrifugeProto._createErrorObject = function (err, advice) {
-    var errObject = {
-        error: err
-    };
-    if (advice) {
-        errObject.advice = advice;
-    }
-    return errObject;
+centrifugeProto._createError = function (code, message, advice, channel) {
+    return new CentrifugeError(code, message, {
+        advice: advice,
+        channel: channel
+    });
 };
 
-centrifugeProto._errorObjectFromMessage = function (message) {
-    return this._createErrorObject(message.error, message.advice);
+// error replies from server have `server` code, client side errors passed
+// through reply handlers carry their own code (and optionally status and
+// cause of error).
+centrifugeProto._errorFromMessage = function (message) {
+    var channel = message.body && message.body.channel ? message.body.channel : null;
+    return new CentrifugeError(message.code || 'server', '' + message.error, {
+        advice: message.advice,
+        channel: channel,
+        status: message.status,
+        cause: message.cause
+    });
 };
 
-centrifugeProto._registerCall = function (uid, callback, errback) {
+/**
+ * Register callbacks of call waiting for reply from server. Options can contain
+ * custom call `timeout` in milliseconds and AbortSignal-like `signal` object to
+ * cancel call.
+ */
+centrifugeProto._registerCall = function (uid, callback, errback, options, channel, method) {
     var self = this;
-    this._callbacks[uid] = {
+    options = options || {};
+    var call = {
         callback: callback,
-        errback: errback
+        errback: errback,
+        channel: channel || null,
+        method: method || null,
+        start: now(),
+        timeout: null,
+        signal: null,
+        onAbort: null
     };
-    setTimeout(function () {
-        delete self._callbacks[uid];
+    var timeout = options.timeout || this._config.timeout;
+    call.timeout = setTimeout(function () {
+        self._removeCall(uid, 'timeout');
         if (isFunction(errback)) {
-            errback(self._createErrorObject('timeout', 'retry'));
+            errback(self._createError('timeout', 'timeout', 'retry', call.channel));
         }
-    }, this._config.timeout);
+    }, timeout);
+    if (options.signal) {
+        call.signal = options.signal;
+        call.onAbort = function () {
+            if (self._removeCall(uid, 'cancelled') === null) {
+                return;
+            }
+            if (isFunction(errback)) {
+                errback(self._createError('cancelled', 'cancelled', null, call.channel));
+            }
+        };
+        call.signal.addEventListener('abort', call.onAbort);
+    }
+    this._callbacks[uid] = call;
+};
+
+// status is a call outcome reported to metrics: ok, error, timeout,
+// cancelled or disconnected.
+centrifugeProto._removeCall = function (uid, status) {
+    if (!(uid in this._callbacks)) {
+        return null;
+    }
+    var call = this._callbacks[uid];
+    delete this._callbacks[uid];
+    clearTimeout(call.timeout);
+    if (call.signal !== null) {
+        call.signal.removeEventListener('abort', call.onAbort);
+    }
+    this._metric('call_duration', now() - call.start, {
+        method: call.method,
+        channel: call.channel,
+        status: status
+    });
+    return call;
+};
+
+centrifugeProto._call = function (method, params, options) {
+    var self = this;
+    return new Promise(function (resolve, reject) {
+        if (options && options.signal && options.signal.aborted) {
+            reject(self._createError('cancelled', 'cancelled', null, params.channel));
+            return;
+        }
+        if (!self.isConnected()) {
+            reject(self._createError('disconnected', 'disconnected', 'retry', params.channel));
+            return;
+        }
+        var uid = self._addMessage({
+            method: method,
+            params: params
+        });
+        self._registerCall(uid, resolve, reject, options, params.channel, method);
+    });
+};
+
+centrifugeProto._hasQueuedPublishes = function (channel) {
+    for (var i = 0; i < this._publishQueue.length; i++) {
+        if (this._publishQueue[i].channel === channel) {
+            return true;
+        }
+    }
+    return false;
+};
+
+centrifugeProto._removeQueuedPublish = function (item) {
+    var index = this._publishQueue.indexOf(item);
+    if (index === -1) {
+        return false;
+    }
+    this._publishQueue.splice(index, 1);
+    if (item.timeout !== null) {
+        clearTimeout(item.timeout);
+    }
+    if (item.signal !== null) {
+        item.signal.removeEventListener('abort', item.onAbort);
+    }
+    return true;
+};
+
+centrifugeProto._dropQueuedPublish = function (item, reason) {
+    if (!this._removeQueuedPublish(item)) {
+        return;
+    }
+    this._log('debug', 'subscription', 'queued publish dropped', {channel: item.channel, reason: reason});
+    this.trigger('drop', [{
+        channel: item.channel,
+        data: item.data,
+        reason: reason
+    }]);
+    item.reject(this._createError('publish_dropped', 'publish ' + reason, 'retry', item.channel));
+};
+
+centrifugeProto._dropQueuedPublishes = function (channel, reason) {
+    var queue = this._publishQueue.slice(0);
+    for (var i = 0; i < queue.length; i++) {
+        if (channel === null || queue[i].channel === channel) {
+            this._dropQueuedPublish(queue[i], reason);
+        }
+    }
+};
+
+centrifugeProto._enqueuePublish = function (channel, data, options) {
+    var self = this;
+    options = options || {};
+    return new Promise(function (resolve, reject) {
+        if (options.signal && options.signal.aborted) {
+            reject(self._createError('cancelled', 'cancelled', null, channel));
+            return;
+        }
+        var item = {
+            channel: channel,
+            data: data,
+            options: options,
+            resolve: resolve,
+            reject: reject,
+            timeout: null,
+            signal: null,
+            onAbort: null
+        };
+        if (self._publishQueue.length >= self._config.publishQueueSize) {
+            // oldest messages dropped first.
+            self._dropQueuedPublish(self._publishQueue[0], 'overflow');
+        }
+        if (self._config.publishQueueMaxAge) {
+            item.timeout = setTimeout(function () {
+                self._dropQueuedPublish(item, 'expired');
+            }, self._config.publishQueueMaxAge);
+        }
+        if (options.signal) {
+            item.signal = options.signal;
+            item.onAbort = function () {
+                if (self._removeQueuedPublish(item)) {
+                    reject(self._createError('cancelled', 'cancelled', null, channel));
+                }
+            };
+            item.signal.addEventListener('abort', item.onAbort);
+        }
+        self._log('debug', 'subscription', 'publish queued', {channel: channel});
+        self._publishQueue.push(item);
+    });
+};
+
+centrifugeProto._flushPublishQueue = function (channel) {
+    // queued messages are sent in the order they were published.
+    var queue = this._publishQueue.slice(0);
+    for (var i = 0; i < queue.length; i++) {
+        var item = queue[i];
+        if (item.channel !== channel) {
+            continue;
+        }
+        this._removeQueuedPublish(item);
+        this._call('publish', {
+            channel: item.channel,
+            data: item.data
+        }, item.options).then(item.resolve, item.reject);
+    }
 };
 
 centrifugeProto._addMessage = function (message) {
@@ -1344,6 +2439,50 @@ centrifugeProto.getClientId = function () {
     return this._clientID;
 };
 
+/**
+ * Ping round trip time statistics over last latencyWindow pings of current
+ * connection - `rtt` (last measured), `average`, `min`, `max`, `p50`, `p95`
+ * and number of `samples`. Null until first ping reply received.
+ */
+centrifugeProto.getLatency = function () {
+    var samples = this._pingSamples;
+    if (samples.length === 0) {
+        return null;
+    }
+    var sorted = samples.slice(0).sort(function (a, b) {
+        return a - b;
+    });
+    var sum = 0;
+    for (var i = 0; i < sorted.length; i++) {
+        sum += sorted[i];
+    }
+    return {
+        rtt: samples[samples.length - 1],
+        average: Math.round(sum / sorted.length),
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        samples: sorted.length
+    };
+};
+
+Object.defineProperty(centrifugeProto, 'latency', {
+    get: function () {
+        return this.getLatency();
+    }
+});
+
+centrifugeProto.getState = function () {
+    return this._state;
+};
+
+Object.defineProperty(centrifugeProto, 'state', {
+    get: function () {
+        return this._state;
+    }
+});
+
 centrifugeProto.isConnected = centrifugeProto._isConnected;
 
 centrifugeProto.isDisconnected = centrifugeProto._isDisconnected;
@@ -1352,14 +2491,65 @@ centrifugeProto.configure = function (configuration) {
     this._configure.call(this, configuration);
 };
 
-centrifugeProto.connect = centrifugeProto._connect;
+centrifugeProto.connect = function (callback) {
+    // callback is called on every successful connect, returned promise only
+    // resolves with first connect context or rejects on connect error or
+    // disconnect without reconnect.
+    if (callback) {
+        this.on('connect', callback);
+    }
+    var self = this;
+    return new Promise(function (resolve, reject) {
+        if (self.isConnected()) {
+            resolve(self._connectContext());
+            return;
+        }
+        self._connectWaiters.push({
+            resolve: resolve,
+            reject: reject
+        });
+        self._connect();
+    });
+};
 
 centrifugeProto.disconnect = function () {
-    this._disconnect('client', false);
+    // returned promise resolves when transport is actually closed, transport
+    // still connecting is closed as soon as it opens.
+    var self = this;
+    return new Promise(function (resolve) {
+        self._disconnect('client', false);
+        if (self._transportClosed && !self._transportConnecting) {
+            resolve();
+            return;
+        }
+        self._closeWaiters.push({
+            transport: self._transport,
+            resolve: resolve
+        });
+    });
 };
 
 centrifugeProto.ping = centrifugeProto._ping;
 
+centrifugeProto.publish = function (channel, data, options) {
+    return this._call('publish', {
+        channel: channel,
+        data: data
+    }, options);
+};
+
+centrifugeProto.presence = function (channel, options) {
+    return this._call('presence', {
+        channel: channel
+    }, options);
+};
+
+centrifugeProto.history = function (channel, options) {
+    return this._call('history', {
+        channel: channel
+    }, options);
+};
+
 centrifugeProto.startBatching = function () {
     // start collecting messages without sending them to Centrifuge until flush
     // method called
@@ -1387,15 +2577,16 @@ centrifugeProto.startAuthBatching = function () {
 };
 
 centrifugeProto.stopAuthBatching = function () {
-    var i,
-        channel;
+    var channel;
 
-    // create request to authEndpoint with collected private channels
-    // to ask if this client can subscribe on each channel
+    // create request to auth endpoint with collected private channels
+    // to ask if this client can subscribe on each channel, one request
+    // for every auth resolver.
     this._isAuthBatching = false;
     var authChannels = this._authChannels;
     this._authChannels = {};
-    var channels = [];
+    var groups = [];
+    var client = this.getClientId();
 
     for (channel in authChannels) {
         if (authChannels.hasOwnProperty(channel)) {
@@ -1403,13 +2594,171 @@ centrifugeProto.stopAuthBatching = function () {
             if (!sub) {
                 continue;
             }
-            channels.push(channel);
+            if (this._authPending[channel] === client) {
+                // subscription will be sent when pending request completes.
+                this._log('debug', 'auth', 'join pending authorization request', {channel: channel});
+                continue;
+            }
+            var resolver = this._authResolver(channel);
+            var group = null;
+            for (var j = 0; j < groups.length; j++) {
+                if (groups[j].resolver === resolver) {
+                    group = groups[j];
+                    break;
+                }
+            }
+            if (group === null) {
+                group = {resolver: resolver, channels: []};
+                groups.push(group);
+            }
+            group.channels.push(channel);
+        }
+    }
+
+    for (var k = 0; k < groups.length; k++) {
+        this._authorize(groups[k].resolver, groups[k].channels);
+    }
+};
+
+/**
+ * Schedule another authorization request for channels after temporary auth
+ * failure, returns false when auth retry strategy gives up. Channels stay
+ * pending so new subscriptions wait for retry instead of sending requests.
+ */
+centrifugeProto._retryAuthorize = function (resolver, channels) {
+    var self = this;
+    var i;
+    var attempt = 0;
+    for (i = 0; i < channels.length; i++) {
+        attempt = Math.max(attempt, this._authRetries[channels[i]] || 0);
+    }
+    var strategy = this._authRetryStrategy();
+    var delay = isFunction(strategy) ? strategy(attempt) : strategy.delay(attempt);
+    if (delay === null || delay === undefined) {
+        return false;
+    }
+    var client = this.getClientId();
+    for (i = 0; i < channels.length; i++) {
+        this._authRetries[channels[i]] = attempt + 1;
+        this._authPending[channels[i]] = client;
+    }
+    this._log('info', 'auth', 'authorization retry scheduled', {
+        channels: channels,
+        attempt: attempt + 1,
+        delay: delay
+    });
+    var timeout = setTimeout(function () {
+        self._authRetryTimeouts.splice(self._authRetryTimeouts.indexOf(timeout), 1);
+        var retry = [];
+        for (var j = 0; j < channels.length; j++) {
+            var channel = channels[j];
+            if (self._authPending[channel] !== client) {
+                continue;
+            }
+            delete self._authPending[channel];
+            var sub = self._getSub(channel);
+            if (sub !== null && sub._isSubscribing()) {
+                retry.push(channel);
+            }
+        }
+        if (retry.length > 0) {
+            self._authorize(resolver, retry);
         }
+    }, delay);
+    this._authRetryTimeouts.push(timeout);
+    return true;
+};
+
+centrifugeProto._authRetryStrategy = function () {
+    var strategy = this._config.authRetryStrategy;
+    if (strategy === null) {
+        strategy = reconnect.exponential({
+            min: this._config.retry,
+            max: this._config.maxRetry,
+            maxAttempts: 5
+        });
     }
+    return strategy;
+};
 
-    if (channels.length === 0) {
+/**
+ * Subscriptions failed because retries exhausted are subscribed again after
+ * backoff delay (between retry and maxRetry) growing with every failed
+ * attempt, or earlier if request to the same resolver succeeds meanwhile.
+ */
+centrifugeProto._scheduleAuthRecover = function (resolver, channels) {
+    var self = this;
+    var attempt = 0;
+    for (var i = 0; i < channels.length; i++) {
+        attempt = Math.max(attempt, this._authRetries[channels[i]] || 0);
+    }
+    for (i = 0; i < channels.length; i++) {
+        this._authRetries[channels[i]] = attempt + 1;
+    }
+    var delay = reconnect.exponential({
+        min: this._config.retry,
+        max: this._config.maxRetry
+    }).delay(attempt);
+    this._log('info', 'auth', 'authorization retries exhausted, resubscribe scheduled', {
+        channels: channels,
+        delay: delay
+    });
+    var timeout = setTimeout(function () {
+        self._authRetryTimeouts.splice(self._authRetryTimeouts.indexOf(timeout), 1);
+        self._resubscribeAuthFailed(resolver);
+    }, delay);
+    this._authRetryTimeouts.push(timeout);
+};
+
+// subscriptions failed because of temporary auth errors are subscribed again
+// after successful response from the same resolver.
+centrifugeProto._resubscribeAuthFailed = function (resolver) {
+    var subs = [];
+    for (var channel in this._authFailed) {
+        if (this._authFailed.hasOwnProperty(channel) && this._authFailed[channel] === resolver) {
+            delete this._authFailed[channel];
+            var sub = this._getSub(channel);
+            if (sub !== null && sub._isError()) {
+                subs.push(sub);
+            }
+        }
+    }
+    if (subs.length === 0) {
         return;
     }
+    this._log('debug', 'auth', 'resubscribe after authorization recovered', {channels: subs.length});
+    this.startAuthBatching();
+    for (var i = 0; i < subs.length; i++) {
+        this._subscribe(subs[i]);
+    }
+    this.stopAuthBatching();
+};
+
+centrifugeProto._subscribePrivate = function (channel, channelResponse) {
+    var msg = {
+        method: 'subscribe',
+        params: {
+            channel: channel,
+            client: this.getClientId(),
+            info: channelResponse.info,
+            sign: channelResponse.sign
+        }
+    };
+    var recover = this._recover(channel);
+    if (recover === true) {
+        msg.params.recover = true;
+        msg.params.last = this._getLastID(channel);
+    }
+    this._addMessage(msg);
+};
+
+/**
+ * Ask application backend (via resolver endpoint or custom function) for
+ * signs to subscribe on channels.
+ */
+centrifugeProto._authorize = function (resolver, channels) {
+    var i,
+        channel;
 
     var data = {
         client: this.getClientId(),
@@ -1418,15 +2767,71 @@ centrifugeProto.stopAuthBatching = function () {
 
     var self = this;
 
+    var start = now();
+
+    var client = this.getClientId();
+
+    for (i = 0; i < channels.length; i++) {
+        this._authPending[channels[i]] = client;
+    }
+
     var cb = function (error, data) {
+        self._metric('auth_duration', now() - start, {
+            pattern: resolver.pattern,
+            channels: channels.length,
+            status: error === true ? 'error' : 'ok'
+        });
+        for (i = 0; i < channels.length; i++) {
+            if (self._authPending[channels[i]] === client) {
+                delete self._authPending[channels[i]];
+            }
+        }
+        if (client !== self.getClientId()) {
+            // client reconnected meanwhile, signs are tied to old client id
+            // and channels were already requested again after resubscribe.
+            self._log('debug', 'auth', 'authorization response for previous connection ignored', {channels: channels});
+            return;
+        }
         if (error === true) {
-            self._debug('authorization request failed');
+            var temporary = isTemporaryAuthError(data);
+            var cause = data instanceof CentrifugeError ? data : null;
+            var failure = {
+                error: 'authorization request failed',
+                advice: temporary ? 'retry' : 'fix',
+                status: typeof data === 'number' && data !== 0 ? data : null,
+                cause: cause
+            };
+            if (cause !== null) {
+                failure.error += ': ' + cause.message;
+                failure.status = cause.status;
+                if (cause.advice !== null) {
+                    failure.advice = cause.advice;
+                }
+            }
+            self._log('warn', 'auth', 'authorization request failed', {
+                channels: channels,
+                status: data,
+                temporary: temporary
+            });
+            if (temporary && self._retryAuthorize(resolver, channels)) {
+                return;
+            }
+            if (temporary) {
+                self._scheduleAuthRecover(resolver, channels);
+            }
             for (i in channels) {
                 if (channels.hasOwnProperty(i)) {
                     channel = channels[i];
+                    if (temporary) {
+                        // try again when resolver works again.
+                        self._authFailed[channel] = resolver;
+                    }
                     self._subscribeResponse({
-                        error: 'authorization request failed',
-                        advice: 'fix',
+                        code: 'auth_failed',
+                        error: failure.error,
+                        advice: failure.advice,
+                        status: failure.status,
+                        cause: failure.cause,
                         body: {
                             channel: channel
                         }
@@ -1436,6 +2841,10 @@ centrifugeProto.stopAuthBatching = function () {
             return;
         }
 
+        for (i = 0; i < channels.length; i++) {
+            delete self._authRetries[channels[i]];
+        }
+
         // try to send all subscriptions in one request.
         var batch = false;
         if (!self._isBatching) {
@@ -1450,6 +2859,7 @@ centrifugeProto.stopAuthBatching = function () {
                 if (!channelResponse) {
                     // subscription:error
                     self._subscribeResponse({
+                        code: 'auth_missing',
                         error: 'channel not found in authorization response',
                         advice: 'fix',
                         body: {
@@ -1459,23 +2869,10 @@ centrifugeProto.stopAuthBatching = function () {
                     continue;
                 }
                 if (!channelResponse.status || channelResponse.status === 200) {
-                    var msg = {
-                        method: 'subscribe',
-                        params: {
-                            channel: channel,
-                            client: self.getClientId(),
-                            info: channelResponse.info,
-                            sign: channelResponse.sign
-                        }
-                    };
-                    var recover = self._recover(channel);
-                    if (recover === true) {
-                        msg.params.recover = true;
-                        msg.params.last = self._getLastID(channel);
-                    }
-                    self._addMessage(msg);
+                    self._subscribePrivate(channel, channelResponse);
                 } else {
                     self._subscribeResponse({
+                        code: 'auth_denied',
                         error: channelResponse.status,
                         body: {
                             channel: channel
@@ -1489,63 +2886,111 @@ centrifugeProto.stopAuthBatching = function () {
             self.stopBatching(true);
         }
 
+        self._resubscribeAuthFailed(resolver);
     };
 
-    if (this._config.onPrivateChannelAuth !== null) {
-        this._config.onPrivateChannelAuth({
+    if (resolver.onAuth !== null) {
+        resolver.onAuth({
             data: data
         }, cb);
     } else {
-        var transport = this._config.authTransport.toLowerCase();
+        var transport = resolver.transport.toLowerCase();
         if (transport === 'ajax') {
-            this._ajax(this._config.authEndpoint, this._config.authParams, this._config.authHeaders, data, cb);
+            this._httpRequest('auth', resolver.endpoint, resolver.params, resolver.headers, data, cb);
         } else if (transport === 'jsonp') {
-            this._jsonp(this._config.authEndpoint, this._config.authParams, this._config.authHeaders, data, cb);
+            this._jsonp('auth', resolver.endpoint, resolver.params, resolver.headers, data, cb);
         } else {
-            throw 'Unknown private channel auth transport ' + transport;
+            throw new CentrifugeError('config', 'Unknown private channel auth transport ' + transport);
         }
     }
 };
 
-centrifugeProto.subscribe = function (channel, events) {
+/**
+ * Subscribe to channel. Options:
+ *
+ *   backfill - load messages missed while disconnected from channel history
+ *              when server could not recover subscription
+ *   ordered  - hold live messages received while subscribing until
+ *              recovered messages delivered
+ */
+centrifugeProto.subscribe = function (channel, events, options) {
     if (arguments.length < 1) {
-        throw 'Illegal arguments number: required 1, got ' + arguments.length;
+        throw new CentrifugeError('invalid_argument', 'Illegal arguments number: required 1, got ' + arguments.length);
     }
     if (!isString(channel)) {
-        throw 'Illegal argument type: channel must be a string';
+        throw new CentrifugeError('invalid_argument', 'Illegal argument type: channel must be a string');
     }
     if (!this._config.resubscribe && !this.isConnected()) {
-        throw 'Can not only subscribe in connected state when resubscribe option is off';
+        throw new CentrifugeError('invalid_state', 'Can only subscribe in connected state when resubscribe option is off');
     }
 
     var currentSub = this._getSub(channel);
 
     if (currentSub !== null) {
         currentSub._setEvents(events);
+        currentSub._setOptions(options);
         if (currentSub._isUnsubscribed()) {
             currentSub.subscribe();
         }
         return currentSub;
     } else {
-        var sub = new Sub(this, channel, events);
+        var sub = new Sub(this, channel, events, options);
         this._subs[channel] = sub;
         sub.subscribe();
         return sub;
     }
 };
 
+/**
+ * Register handlers for message, join and leave events of all channels
+ * matching glob pattern (`*` matches any characters, `?` - one character),
+ * for example `news:*` or `user#*`. Events can be a function to handle
+ * messages or object with `message`, `join` and `leave` functions. Returns
+ * handler object to pass into removePatternHandler.
+ */
+centrifugeProto.addPatternHandler = function (pattern, events) {
+    if (!isString(pattern)) {
+        throw new CentrifugeError('invalid_argument', 'Illegal argument type: pattern must be a string');
+    }
+    if (isFunction(events)) {
+        events = {message: events};
+    } else if (!events || typeof events !== 'object') {
+        throw new CentrifugeError('invalid_argument', 'Illegal argument type: events must be a function or an object');
+    }
+    var handler = {
+        pattern: pattern,
+        regexp: patternRegExp(pattern),
+        events: events
+    };
+    this._patternHandlers.push(handler);
+    return handler;
+};
+
+centrifugeProto.removePatternHandler = function (handler) {
+    var index = this._patternHandlers.indexOf(handler);
+    if (index > -1) {
+        this._patternHandlers.splice(index, 1);
+    }
+};
+
 var _STATE_NEW = 0;
 var _STATE_SUBSCRIBING = 1;
 var _STATE_SUCCESS = 2;
 var _STATE_ERROR = 3;
 var _STATE_UNSUBSCRIBED = 4;
 
-function Sub(centrifuge, channel, events) {
+function Sub(centrifuge, channel, events, options) {
     this._status = _STATE_NEW;
     this._error = null;
     this._centrifuge = centrifuge;
     this.channel = channel;
+    this._backfill = false;
+    this._ordered = false;
+    this._buffer = null;
+    this._seen = {};
+    this._seenUIDs = [];
     this._setEvents(events);
+    this._setOptions(options);
     this._isResubscribe = false;
     this._recovered = false;
     this._ready = false;
@@ -1580,7 +3025,7 @@ subProto._setEvents = function (events) {
     if (isFunction(events)) {
         this.on('message', events);
     } else if (Object.prototype.toString.call(events) === Object.prototype.toString.call({})) {
-        var knownEvents = ['message', 'join', 'leave', 'unsubscribe', 'subscribe', 'error'];
+        var knownEvents = ['message', 'join', 'leave', 'unsubscribe', 'subscribe', 'error', 'gap'];
         for (var i = 0, l = knownEvents.length; i < l; i++) {
             var ev = knownEvents[i];
             if (ev in events) {
@@ -1590,6 +3035,38 @@ subProto._setEvents = function (events) {
     }
 };
 
+subProto._setOptions = function (options) {
+    if (!options) {
+        return;
+    }
+    if ('backfill' in options) {
+        this._backfill = options.backfill === true;
+    }
+    if ('ordered' in options) {
+        this._ordered = options.ordered === true;
+    }
+};
+
+/**
+ * Remember message uid in window of last dedupWindow uids, returns false if
+ * message with this uid was already delivered.
+ */
+subProto._markSeen = function (uid) {
+    var size = this._centrifuge._config.dedupWindow;
+    if (!uid || !(size > 0)) {
+        return true;
+    }
+    if (this._seen.hasOwnProperty(uid)) {
+        return false;
+    }
+    this._seen[uid] = true;
+    this._seenUIDs.push(uid);
+    while (this._seenUIDs.length > size) {
+        delete this._seen[this._seenUIDs.shift()];
+    }
+    return true;
+};
+
 subProto._isNew = function () {
     return this._status === _STATE_NEW;
 };
@@ -1625,6 +3102,7 @@ subProto._setSubscribing = function () {
         this._isResubscribe = true;
     }
     this._status = _STATE_SUBSCRIBING;
+    this._buffer = this._ordered ? [] : null;
 };
 
 subProto._setSubscribeSuccess = function (recovered) {
@@ -1636,6 +3114,7 @@ subProto._setSubscribeSuccess = function (recovered) {
     var successContext = this._getSubscribeSuccessContext(recovered);
     this.trigger('subscribe', [successContext]);
     this._resolve(successContext);
+    this._centrifuge._flushPublishQueue(this.channel);
 };
 
 subProto._setSubscribeError = function (err) {
@@ -1644,6 +3123,7 @@ subProto._setSubscribeError = function (err) {
     }
     this._status = _STATE_ERROR;
     this._error = err;
+    this._buffer = null;
     var errContext = this._getSubscribeErrorContext();
     this.trigger('error', [errContext]);
     this._reject(errContext);
@@ -1660,9 +3140,11 @@ subProto._setUnsubscribed = function (noResubscribe) {
         return;
     }
     this._status = _STATE_UNSUBSCRIBED;
+    this._buffer = null;
     if (noResubscribe === true) {
         this._noResubscribe = true;
     }
+    this._centrifuge._dropQueuedPublishes(this.channel, 'unsubscribed');
     this._triggerUnsubscribe();
 };
 
@@ -1708,80 +3190,93 @@ subProto.unsubscribe = function () {
     this._centrifuge._unsubscribe(this);
 };
 
-subProto.publish = function (data) {
+subProto._call = function (method, params, options) {
     var self = this;
     return new Promise(function (resolve, reject) {
         if (self._isUnsubscribed()) {
-            reject(self._centrifuge._createErrorObject('subscription unsubscribed', 'fix'));
+            reject(self._centrifuge._createError('unsubscribed', 'subscription unsubscribed', 'fix', self.channel));
             return;
         }
-        self._promise.then(function () {
-            if (!self._centrifuge.isConnected()) {
-                reject(self._centrifuge._createErrorObject('disconnected', 'retry'));
+        var signal = options && options.signal ? options.signal : null;
+        var onAbort = null;
+        if (signal !== null) {
+            if (signal.aborted) {
+                reject(self._centrifuge._createError('cancelled', 'cancelled', null, self.channel));
                 return;
             }
-            var uid = self._centrifuge._addMessage({
-                method: 'publish',
-                params: {
-                    channel: self.channel,
-                    data: data
-                }
-            });
-            self._centrifuge._registerCall(uid, resolve, reject);
-        }, function (err) {
-            reject(err);
-        });
-    });
-};
-
-subProto.presence = function () {
-    var self = this;
-    return new Promise(function (resolve, reject) {
-        if (self._isUnsubscribed()) {
-            reject(self._centrifuge._createErrorObject('subscription unsubscribed', 'fix'));
-            return;
+            // call can be cancelled while waiting for subscription too.
+            onAbort = function () {
+                reject(self._centrifuge._createError('cancelled', 'cancelled', null, self.channel));
+            };
+            signal.addEventListener('abort', onAbort);
         }
+        var stopWaiting = function () {
+            if (onAbort !== null) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            return signal === null || !signal.aborted;
+        };
         self._promise.then(function () {
-            if (!self._centrifuge.isConnected()) {
-                reject(self._centrifuge._createErrorObject('disconnected', 'retry'));
-                return;
+            if (stopWaiting()) {
+                self._centrifuge._call(method, params, options).then(resolve, reject);
             }
-            var uid = self._centrifuge._addMessage({
-                method: 'presence',
-                params: {
-                    channel: self.channel
-                }
-            });
-            self._centrifuge._registerCall(uid, resolve, reject);
         }, function (err) {
+            stopWaiting();
             reject(err);
         });
     });
 };
 
-subProto.history = function () {
-    var self = this;
-    return new Promise(function (resolve, reject) {
-        if (self._isUnsubscribed()) {
-            reject(self._centrifuge._createErrorObject('subscription unsubscribed', 'fix'));
-            return;
-        }
-        self._promise.then(function () {
-            if (!self._centrifuge.isConnected()) {
-                reject(self._centrifuge._createErrorObject('disconnected', 'retry'));
-                return;
-            }
-            var uid = self._centrifuge._addMessage({
-                method: 'history',
-                params: {
-                    channel: self.channel
-                }
-            });
-            self._centrifuge._registerCall(uid, resolve, reject);
-        }, function (err) {
-            reject(err);
-        });
-    });
+subProto._shouldQueuePublish = function () {
+    var centrifuge = this._centrifuge;
+    if (!centrifuge._config.publishQueue || this._isUnsubscribed() || this._isError()) {
+        return false;
+    }
+    if (!centrifuge.isConnected() || !this._isSuccess()) {
+        return true;
+    }
+    // keep order - new messages go after already queued ones.
+    return centrifuge._hasQueuedPublishes(this.channel);
+};
+
+subProto.publish = function (data, options) {
+    if (this._shouldQueuePublish()) {
+        return this._centrifuge._enqueuePublish(this.channel, data, options);
+    }
+    return this._call('publish', {
+        channel: this.channel,
+        data: data
+    }, options);
 };
 
+subProto.presence = function (options) {
+    return this._call('presence', {
+        channel: this.channel
+    }, options);
+};
+
+subProto.history = function (options) {
+    return this._call('history', {
+        channel: this.channel
+    }, options);
+};
+
+Centrifuge.CentrifugeError = CentrifugeError;
+Centrifuge.SockJSTransport = SockJSTransport;
+Centrifuge.WebSocketTransport = WebSocketTransport;
+Centrifuge.JSONCodec = JSONCodec;
+Centrifuge.MsgpackCodec = MsgpackCodec;
+Centrifuge.reconnect = reconnect;
+Centrifuge.StoragePositionStore = StoragePositionStore;
+Centrifuge.IndexedDBPositionStore = IndexedDBPositionStore;
+Centrifuge.FetchHTTPClient = FetchHTTPClient;
+Centrifuge.XHRHTTPClient = XHRHTTPClient;
+
 module.exports = Centrifuge;
+
+// crosstab module builds on Centrifuge itself so it is required lazily.
+Object.defineProperty(Centrifuge, 'CrossTabCentrifuge', {
+    get: function () {
+        return require('./crosstab');
+    }
+});
@@ -0,0 +1,348 @@
+/**
+ * Codec converts protocol messages to transport frames and back.
+ *
+ *   name           - codec name
+ *   binary         - true if codec produces binary frames
+ *   encode(data)   - encode single command object or array of commands into frame
+ *   decode(frame)  - decode frame into single reply object or array of replies
+ *
+ * JSONCodec is used by default, MsgpackCodec is a compact binary alternative
+ * which works over raw Websocket connections only.
+ */
+
+function JSONCodec() {
+    this.name = 'json';
+    this.binary = false;
+}
+
+JSONCodec.prototype.encode = function (data) {
+    return JSON.stringify(data);
+};
+
+JSONCodec.prototype.decode = function (frame) {
+    return JSON.parse(frame);
+};
+
+function utf8Encode(value, bytes) {
+    for (var i = 0; i < value.length; i++) {
+        var code = value.charCodeAt(i);
+        if (code >= 0xd800 && code <= 0xdbff && i + 1 < value.length) {
+            var next = value.charCodeAt(i + 1);
+            if (next >= 0xdc00 && next <= 0xdfff) {
+                code = 0x10000 + ((code - 0xd800) << 10) + (next - 0xdc00);
+                i++;
+            }
+        }
+        if (code < 0x80) {
+            bytes.push(code);
+        } else if (code < 0x800) {
+            bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+        } else if (code < 0x10000) {
+            bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+        } else {
+            bytes.push(
+                0xf0 | (code >> 18),
+                0x80 | ((code >> 12) & 0x3f),
+                0x80 | ((code >> 6) & 0x3f),
+                0x80 | (code & 0x3f)
+            );
+        }
+    }
+}
+
+function utf8Decode(bytes, offset, length) {
+    var end = offset + length;
+    var result = '';
+    var chunk = [];
+    while (offset < end) {
+        var byte = bytes[offset++];
+        var code;
+        if (byte < 0x80) {
+            code = byte;
+        } else if ((byte & 0xe0) === 0xc0) {
+            code = ((byte & 0x1f) << 6) | (bytes[offset++] & 0x3f);
+        } else if ((byte & 0xf0) === 0xe0) {
+            code = ((byte & 0x0f) << 12) | ((bytes[offset++] & 0x3f) << 6) | (bytes[offset++] & 0x3f);
+        } else {
+            code = ((byte & 0x07) << 18) | ((bytes[offset++] & 0x3f) << 12) |
+                ((bytes[offset++] & 0x3f) << 6) | (bytes[offset++] & 0x3f);
+        }
+        if (code > 0xffff) {
+            code -= 0x10000;
+            chunk.push(0xd800 + (code >> 10), 0xdc00 + (code & 0x3ff));
+        } else {
+            chunk.push(code);
+        }
+        if (chunk.length >= 4096) {
+            result += String.fromCharCode.apply(null, chunk);
+            chunk = [];
+        }
+    }
+    return result + String.fromCharCode.apply(null, chunk);
+}
+
+function pushUint(bytes, value, size) {
+    for (var i = size - 1; i >= 0; i--) {
+        bytes.push(Math.floor(value / Math.pow(256, i)) & 0xff);
+    }
+}
+
+function encodeLength(bytes, length, fix, fixMax, type8, type16, type32) {
+    if (length <= fixMax) {
+        bytes.push(fix | length);
+    } else if (type8 !== null && length < 0x100) {
+        bytes.push(type8, length);
+    } else if (length < 0x10000) {
+        bytes.push(type16);
+        pushUint(bytes, length, 2);
+    } else {
+        bytes.push(type32);
+        pushUint(bytes, length, 4);
+    }
+}
+
+function encodeNumber(bytes, value) {
+    if (Math.floor(value) === value && isFinite(value) && Math.abs(value) <= 0xffffffff) {
+        if (value >= 0) {
+            if (value < 0x80) {
+                bytes.push(value);
+            } else if (value < 0x100) {
+                bytes.push(0xcc, value);
+            } else if (value < 0x10000) {
+                bytes.push(0xcd);
+                pushUint(bytes, value, 2);
+            } else {
+                bytes.push(0xce);
+                pushUint(bytes, value, 4);
+            }
+            return;
+        }
+        if (value >= -0x20) {
+            bytes.push(value & 0xff);
+            return;
+        } else if (value >= -0x80) {
+            bytes.push(0xd0, value & 0xff);
+            return;
+        } else if (value >= -0x8000) {
+            bytes.push(0xd1, (value >> 8) & 0xff, value & 0xff);
+            return;
+        } else if (value >= -0x80000000) {
+            bytes.push(0xd2, (value >> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff);
+            return;
+        }
+    }
+    var view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value);
+    bytes.push(0xcb);
+    for (var i = 0; i < 8; i++) {
+        bytes.push(view.getUint8(i));
+    }
+}
+
+function encodeValue(bytes, value) {
+    var i;
+    if (value === null || value === undefined) {
+        bytes.push(0xc0);
+    } else if (value === false) {
+        bytes.push(0xc2);
+    } else if (value === true) {
+        bytes.push(0xc3);
+    } else if (typeof value === 'number') {
+        encodeNumber(bytes, value);
+    } else if (typeof value === 'string') {
+        var encoded = [];
+        utf8Encode(value, encoded);
+        encodeLength(bytes, encoded.length, 0xa0, 31, 0xd9, 0xda, 0xdb);
+        for (i = 0; i < encoded.length; i++) {
+            bytes.push(encoded[i]);
+        }
+    } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+        var raw = value instanceof ArrayBuffer ?
+            new Uint8Array(value) :
+            new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+        encodeLength(bytes, raw.length, 0, -1, 0xc4, 0xc5, 0xc6);
+        for (i = 0; i < raw.length; i++) {
+            bytes.push(raw[i]);
+        }
+    } else if (Object.prototype.toString.call(value) === Object.prototype.toString.call([])) {
+        encodeLength(bytes, value.length, 0x90, 15, null, 0xdc, 0xdd);
+        for (i = 0; i < value.length; i++) {
+            encodeValue(bytes, value[i]);
+        }
+    } else if (typeof value === 'object') {
+        // same as JSON.stringify - skip undefined values and functions.
+        var keys = [];
+        for (var key in value) {
+            if (value.hasOwnProperty(key) && value[key] !== undefined && typeof value[key] !== 'function') {
+                keys.push(key);
+            }
+        }
+        encodeLength(bytes, keys.length, 0x80, 15, null, 0xde, 0xdf);
+        for (i = 0; i < keys.length; i++) {
+            encodeValue(bytes, keys[i]);
+            encodeValue(bytes, value[keys[i]]);
+        }
+    } else {
+        throw new Error('msgpack: can not encode value of type ' + typeof value);
+    }
+}
+
+function Decoder(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+}
+
+Decoder.prototype._array = function (length) {
+    var result = new Array(length);
+    for (var i = 0; i < length; i++) {
+        result[i] = this.value();
+    }
+    return result;
+};
+
+Decoder.prototype._map = function (length) {
+    var result = {};
+    for (var i = 0; i < length; i++) {
+        var key = this.value();
+        result[key] = this.value();
+    }
+    return result;
+};
+
+// throws when frame ends before size bytes from current offset.
+Decoder.prototype._need = function (size) {
+    if (this.offset + size > this.bytes.length) {
+        throw new Error('msgpack: unexpected end of data');
+    }
+};
+
+Decoder.prototype._str = function (length) {
+    this._need(length);
+    var value = utf8Decode(this.bytes, this.offset, length);
+    this.offset += length;
+    return value;
+};
+
+Decoder.prototype._bin = function (length) {
+    this._need(length);
+    var value = this.bytes.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+};
+
+Decoder.prototype._read = function (method, size) {
+    this._need(size);
+    var value = this.view[method](this.offset);
+    this.offset += size;
+    return value;
+};
+
+Decoder.prototype.value = function () {
+    var type = this.bytes[this.offset++];
+    if (type === undefined) {
+        throw new Error('msgpack: unexpected end of data');
+    }
+    if (type < 0x80) {
+        return type;
+    }
+    if (type < 0x90) {
+        return this._map(type & 0x0f);
+    }
+    if (type < 0xa0) {
+        return this._array(type & 0x0f);
+    }
+    if (type < 0xc0) {
+        return this._str(type & 0x1f);
+    }
+    if (type >= 0xe0) {
+        return type - 0x100;
+    }
+    switch (type) {
+        case 0xc0:
+            return null;
+        case 0xc2:
+            return false;
+        case 0xc3:
+            return true;
+        case 0xc4:
+            return this._bin(this._read('getUint8', 1));
+        case 0xc5:
+            return this._bin(this._read('getUint16', 2));
+        case 0xc6:
+            return this._bin(this._read('getUint32', 4));
+        case 0xca:
+            return this._read('getFloat32', 4);
+        case 0xcb:
+            return this._read('getFloat64', 8);
+        case 0xcc:
+            return this._read('getUint8', 1);
+        case 0xcd:
+            return this._read('getUint16', 2);
+        case 0xce:
+            return this._read('getUint32', 4);
+        case 0xcf:
+            return this._read('getUint32', 4) * 0x100000000 + this._read('getUint32', 4);
+        case 0xd0:
+            return this._read('getInt8', 1);
+        case 0xd1:
+            return this._read('getInt16', 2);
+        case 0xd2:
+            return this._read('getInt32', 4);
+        case 0xd3:
+            return this._read('getInt32', 4) * 0x100000000 + this._read('getUint32', 4);
+        case 0xd9:
+            return this._str(this._read('getUint8', 1));
+        case 0xda:
+            return this._str(this._read('getUint16', 2));
+        case 0xdb:
+            return this._str(this._read('getUint32', 4));
+        case 0xdc:
+            return this._array(this._read('getUint16', 2));
+        case 0xdd:
+            return this._array(this._read('getUint32', 4));
+        case 0xde:
+            return this._map(this._read('getUint16', 2));
+        case 0xdf:
+            return this._map(this._read('getUint32', 4));
+        default:
+            throw new Error('msgpack: unsupported type 0x' + type.toString(16));
+    }
+};
+
+function MsgpackCodec() {
+    this.name = 'msgpack';
+    this.binary = true;
+}
+
+MsgpackCodec.prototype.encode = function (data) {
+    var bytes = [];
+    encodeValue(bytes, data);
+    return new Uint8Array(bytes);
+};
+
+MsgpackCodec.prototype.decode = function (frame) {
+    var bytes;
+    if (frame instanceof ArrayBuffer) {
+        bytes = new Uint8Array(frame);
+    } else if (ArrayBuffer.isView(frame)) {
+        bytes = new Uint8Array(frame.buffer, frame.byteOffset, frame.byteLength);
+    } else {
+        throw new Error('msgpack: binary frame expected');
+    }
+    var decoder = new Decoder(bytes);
+    var result = decoder.value();
+    if (decoder.offset < bytes.length) {
+        // several replies can be packed one after another in one frame.
+        result = [result];
+        while (decoder.offset < bytes.length) {
+            result.push(decoder.value());
+        }
+    }
+    return result;
+};
+
+module.exports = {
+    JSONCodec: JSONCodec,
+    MsgpackCodec: MsgpackCodec
+};
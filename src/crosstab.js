@@ -0,0 +1,926 @@
+/**
+ * Cross-tab connection sharing.
+ *
+ * CrossTabCentrifuge allows browser tabs of one origin to share single
+ * connection to Centrifugo. Tabs talk to each other over BroadcastChannel and
+ * elect a leader - the only tab which creates real Centrifuge client. Other
+ * tabs proxy subscribe, publish, presence and history to leader and receive
+ * subscription events from it. When leader tab closes (or stops sending
+ * heartbeats) remaining tabs elect new leader and re-subscribe on their
+ * channels transparently. Other tabs send heartbeats to leader too, so
+ * subscriptions of tab which died without saying bye are released.
+ *
+ *   var CrossTabCentrifuge = require('centrifuge/src/crosstab');
+ *
+ *   var centrifuge = new CrossTabCentrifuge({
+ *       url: 'http://localhost:8000/connection',
+ *       user: '...',
+ *       timestamp: '...',
+ *       token: '...'
+ *   });
+ *   centrifuge.subscribe('news', function (message) {
+ *       console.log(message);
+ *   });
+ *   centrifuge.connect();
+ *
+ * First argument is a usual Centrifuge configuration used by leader tab, so
+ * all tabs must be created with equal configuration. Second argument can
+ * contain cross-tab options:
+ *
+ *   name              - BroadcastChannel name, 'centrifuge' by default
+ *   heartbeatInterval - how often leader sends heartbeats, 1000 milliseconds by default
+ *   leaderTimeout     - how long to wait for leader heartbeat before electing
+ *                       new leader (and for other tab heartbeat before
+ *                       releasing its subscriptions), 3000 milliseconds by default
+ *   electionTimeout   - how long to collect leadership claims, 300 milliseconds by default
+ *   BroadcastChannel  - BroadcastChannel constructor, global one by default
+ */
+var Promise = require('es6-promise').Promise;
+var EventEmitter = require('wolfy87-eventemitter');
+var Centrifuge = require('./centrifuge');
+var CentrifugeError = require('./errors');
+var utils = require('./utils');
+var extend = utils.extend;
+var isFunction = utils.isFunction;
+
+// errors are sent between tabs as plain objects so anything else thrown or
+// rejected with is turned into CentrifugeError first.
+function toCentrifugeError(err, channel) {
+    if (err instanceof CentrifugeError) {
+        return err;
+    }
+    var message = err && err.message ? err.message : '' + err;
+    return new CentrifugeError('internal', message, {
+        channel: channel
+    });
+}
+
+var subEvents = ['message', 'join', 'leave', 'unsubscribe', 'subscribe', 'error', 'gap'];
+
+/**
+ * CrossTabSub mirrors public API of Sub: subscribe, unsubscribe, ready,
+ * publish, presence, history and the same events. Differences:
+ *
+ *   - ready callbacks get context of last subscribe or error event received
+ *     from leader, nothing is called while subscription is in progress or
+ *     after unsubscribe
+ *   - calls in progress are rejected with `disconnected` error when leader
+ *     tab is lost, publish waiting in offline queue of leader tab too
+ *   - with publishQueue option call timeout of publish includes
+ *     publishQueueMaxAge as message can wait in leader queue before sent
+ */
+function CrossTabSub(crossTab, channel, events, options) {
+    this._crossTab = crossTab;
+    this.channel = channel;
+    this._options = {};
+    // context of last subscribe or error event, null while not known.
+    this._context = null;
+    this._failed = false;
+    this._setEvents(events);
+    this._setOptions(options);
+}
+
+extend(CrossTabSub, EventEmitter);
+
+var subProto = CrossTabSub.prototype;
+
+subProto._setEvents = function (events) {
+    if (!events) {
+        return;
+    }
+    if (isFunction(events)) {
+        this.on('message', events);
+    } else if (Object.prototype.toString.call(events) === Object.prototype.toString.call({})) {
+        for (var i = 0, l = subEvents.length; i < l; i++) {
+            var ev = subEvents[i];
+            if (ev in events) {
+                this.on(ev, events[ev]);
+            }
+        }
+    }
+};
+
+// subscribe options (backfill, ordered) are passed to real subscription in
+// leader tab.
+subProto._setOptions = function (options) {
+    if (!options) {
+        return;
+    }
+    for (var key in options) {
+        if (options.hasOwnProperty(key)) {
+            this._options[key] = options[key];
+        }
+    }
+};
+
+subProto._update = function (event, ctx) {
+    if (event === 'subscribe' || event === 'error') {
+        this._context = ctx;
+        this._failed = event === 'error';
+    } else if (event === 'unsubscribe') {
+        this._context = null;
+        this._failed = false;
+    }
+};
+
+subProto._isUnsubscribed = function () {
+    return this._crossTab._subs[this.channel] !== this;
+};
+
+subProto.ready = function (callback, errback) {
+    if (this._context === null) {
+        return;
+    }
+    if (this._failed) {
+        errback(this._context);
+    } else {
+        callback(this._context);
+    }
+};
+
+subProto.subscribe = function () {
+    this._crossTab._subscribe(this);
+    return this;
+};
+
+subProto.unsubscribe = function () {
+    this._crossTab._unsubscribe(this);
+};
+
+// calls go through real subscription in leader tab so they wait for it to
+// subscribe and publish can use its offline queue.
+subProto._call = function (method, data, options) {
+    if (this._isUnsubscribed()) {
+        return Promise.reject(new CentrifugeError('unsubscribed', 'subscription unsubscribed', {
+            advice: 'fix',
+            channel: this.channel
+        }));
+    }
+    return this._crossTab._call(method, this.channel, data, options, true);
+};
+
+subProto.publish = function (data, options) {
+    return this._call('publish', data, options);
+};
+
+subProto.presence = function (options) {
+    return this._call('presence', null, options);
+};
+
+subProto.history = function (options) {
+    return this._call('history', null, options);
+};
+
+function CrossTabCentrifuge(options, crossTabOptions) {
+    crossTabOptions = crossTabOptions || {};
+    this._options = options;
+    this._name = crossTabOptions.name || 'centrifuge';
+    this._heartbeatInterval = crossTabOptions.heartbeatInterval || 1000;
+    this._leaderTimeout = crossTabOptions.leaderTimeout || 3000;
+    this._electionTimeout = crossTabOptions.electionTimeout || 300;
+    this._BroadcastChannel = crossTabOptions.BroadcastChannel || global.BroadcastChannel;
+    // older tabs have smaller ids so the oldest tab wins elections.
+    this._id = Date.now() * 1000 + Math.floor(Math.random() * 1000);
+    this._channel = null;
+    this._started = false;
+    this._leader = null;
+    this._lastHeartbeat = 0;
+    this._claims = null;
+    this._electionTimer = null;
+    this._heartbeatTimer = null;
+    this._watchTimer = null;
+    this._unloadHandler = null;
+    this._pageShowHandler = null;
+    this._connected = false;
+    this._connectContext = null;
+    this._connectWaiters = [];
+    this._subs = {};
+    this._calls = {};
+    this._nextCallID = 1;
+    this._outbox = [];
+    // leader only state.
+    this._centrifuge = null;
+    this._realSubs = {};
+    this._subscribers = {};
+    this._followers = {};
+}
+
+extend(CrossTabCentrifuge, EventEmitter);
+
+var crossTabProto = CrossTabCentrifuge.prototype;
+
+crossTabProto.isLeader = function () {
+    return this._leader === this._id;
+};
+
+crossTabProto.isConnected = function () {
+    return this._connected;
+};
+
+crossTabProto._timeout = function () {
+    return this._options.timeout || 5000;
+};
+
+crossTabProto._post = function (message) {
+    message.from = this._id;
+    this._channel.postMessage(message);
+};
+
+// returned promise resolves with connect context as soon as this tab sees
+// connection established by leader (or by itself being a leader) and rejects
+// on disconnect without reconnect.
+crossTabProto.connect = function () {
+    if (!this._started && !this._BroadcastChannel) {
+        throw new CentrifugeError('config', 'BroadcastChannel is not supported in this environment, use Centrifuge directly');
+    }
+    var self = this;
+    var promise = new Promise(function (resolve, reject) {
+        if (self._connected) {
+            resolve(self._connectContext);
+            return;
+        }
+        self._connectWaiters.push({
+            resolve: resolve,
+            reject: reject
+        });
+    });
+    if (this._started) {
+        return promise;
+    }
+    this._started = true;
+    this._channel = new this._BroadcastChannel(this._name);
+    this._channel.onmessage = function (event) {
+        self._onMessage(event.data);
+    };
+    if (global.addEventListener) {
+        this._unloadHandler = function (event) {
+            if (event && event.persisted) {
+                // page goes into back/forward cache and can be restored
+                // later, it can't take part in elections while frozen.
+                self._stop({
+                    reason: 'page hidden',
+                    reconnect: true
+                });
+                self._waitPageShow();
+            } else {
+                self.disconnect();
+            }
+        };
+        global.addEventListener('pagehide', this._unloadHandler);
+    }
+    this._watchTimer = setInterval(function () {
+        self._watchLeader();
+    }, this._heartbeatInterval);
+    this._startElection();
+    return promise;
+};
+
+// join tabs again when page restored from back/forward cache.
+crossTabProto._waitPageShow = function () {
+    var self = this;
+    this._pageShowHandler = function (event) {
+        if (event && event.persisted) {
+            self._clearPageShow();
+            self.connect();
+        }
+    };
+    global.addEventListener('pageshow', this._pageShowHandler);
+};
+
+crossTabProto._clearPageShow = function () {
+    if (this._pageShowHandler !== null) {
+        global.removeEventListener('pageshow', this._pageShowHandler);
+        this._pageShowHandler = null;
+    }
+};
+
+crossTabProto.disconnect = function () {
+    this._clearPageShow();
+    this._stop({
+        reason: 'client',
+        reconnect: false
+    });
+};
+
+crossTabProto._stop = function (ctx) {
+    if (!this._started) {
+        return;
+    }
+    if (this.isLeader()) {
+        this._post({
+            type: 'resign'
+        });
+        this._stopLeading();
+    } else {
+        this._post({
+            type: 'bye'
+        });
+    }
+    this._started = false;
+    this._leader = null;
+    this._claims = null;
+    clearTimeout(this._electionTimer);
+    clearInterval(this._watchTimer);
+    if (this._unloadHandler !== null) {
+        global.removeEventListener('pagehide', this._unloadHandler);
+        this._unloadHandler = null;
+    }
+    this._channel.close();
+    this._channel = null;
+    this._rejectCalls('disconnected');
+    this._setDisconnected(ctx);
+};
+
+crossTabProto._watchLeader = function () {
+    if (this.isLeader() || this._claims !== null) {
+        return;
+    }
+    if (this._leader === null) {
+        this._startElection();
+        return;
+    }
+    if (new Date().getTime() - this._lastHeartbeat > this._leaderTimeout) {
+        this._leaderLost();
+        return;
+    }
+    this._post({
+        type: 'heartbeat'
+    });
+};
+
+crossTabProto._leaderLost = function () {
+    this._leader = null;
+    this._rejectCalls('disconnected');
+    this._setDisconnected({
+        reason: 'leader lost',
+        reconnect: true
+    });
+    this._startElection();
+};
+
+crossTabProto._startElection = function () {
+    if (this._claims !== null) {
+        return;
+    }
+    var self = this;
+    this._claims = {};
+    this._claims[this._id] = true;
+    this._post({
+        type: 'claim'
+    });
+    this._electionTimer = setTimeout(function () {
+        self._finishElection();
+    }, this._electionTimeout);
+};
+
+crossTabProto._finishElection = function () {
+    var claims = this._claims;
+    this._claims = null;
+    if (claims === null || this._leader !== null) {
+        return;
+    }
+    var winner = null;
+    for (var id in claims) {
+        if (claims.hasOwnProperty(id)) {
+            id = Number(id);
+            if (winner === null || id < winner) {
+                winner = id;
+            }
+        }
+    }
+    if (winner === this._id) {
+        this._becomeLeader();
+    }
+    // otherwise wait for winner announcement, watcher starts new
+    // election if it never comes.
+};
+
+crossTabProto._announce = function () {
+    this._post({
+        type: 'leader',
+        connected: this._connected,
+        ctx: this._connectContext
+    });
+};
+
+crossTabProto._becomeLeader = function () {
+    var self = this;
+    this._leader = this._id;
+    this._announce();
+    this._heartbeatTimer = setInterval(function () {
+        self._announce();
+        self._expireFollowers();
+    }, this._heartbeatInterval);
+
+    this._centrifuge = new Centrifuge(this._options);
+    this._centrifuge.on('connect', function (ctx) {
+        self._setConnected(ctx);
+        self._announce();
+    });
+    this._centrifuge.on('disconnect', function (ctx) {
+        self._setDisconnected(ctx);
+        self._post({
+            type: 'disconnect',
+            ctx: ctx
+        });
+    });
+
+    for (var channel in this._subs) {
+        if (this._subs.hasOwnProperty(channel)) {
+            this._leaderSubscribe(channel, this._id, this._subs[channel]._options);
+        }
+    }
+    this._centrifuge.connect().then(null, function () {
+        // connect errors reach tabs as disconnect event, promise also
+        // rejects when leader steps down before connected.
+    });
+
+    var outbox = this._outbox;
+    this._outbox = [];
+    for (var i = 0; i < outbox.length; i++) {
+        this._handleLeaderMessage(outbox[i], this._id);
+    }
+    this.trigger('leader', [{}]);
+};
+
+crossTabProto._stopLeading = function () {
+    clearInterval(this._heartbeatTimer);
+    this._heartbeatTimer = null;
+    if (this._centrifuge !== null) {
+        this._centrifuge.removeAllListeners();
+        this._centrifuge.disconnect();
+        this._centrifuge = null;
+    }
+    this._realSubs = {};
+    this._subscribers = {};
+    this._followers = {};
+};
+
+// release subscriptions of tabs which stopped sending heartbeats - closed
+// without bye (crashed or killed).
+crossTabProto._expireFollowers = function () {
+    var deadline = new Date().getTime() - this._leaderTimeout;
+    for (var tab in this._followers) {
+        if (this._followers.hasOwnProperty(tab) && this._followers[tab] < deadline) {
+            this._leaderForget(tab);
+        }
+    }
+};
+
+crossTabProto._follow = function (leader) {
+    var changed = this._leader !== leader;
+    if (this.isLeader()) {
+        // two leaders found each other - the one with bigger id steps down.
+        this._stopLeading();
+        this._setDisconnected({
+            reason: 'leader changed',
+            reconnect: true
+        });
+    }
+    this._leader = leader;
+    this._lastHeartbeat = new Date().getTime();
+    if (this._claims !== null) {
+        this._claims = null;
+        clearTimeout(this._electionTimer);
+    }
+    if (!changed) {
+        return;
+    }
+    // re-subscribe on all local channels through new leader.
+    for (var channel in this._subs) {
+        if (this._subs.hasOwnProperty(channel)) {
+            this._post({
+                type: 'subscribe',
+                channel: channel,
+                options: this._subs[channel]._options
+            });
+        }
+    }
+    var outbox = this._outbox;
+    this._outbox = [];
+    for (var i = 0; i < outbox.length; i++) {
+        this._post(outbox[i]);
+    }
+};
+
+crossTabProto._onMessage = function (message) {
+    if (!this._started || !message || message.from === this._id) {
+        return;
+    }
+    if (message.to !== undefined && message.to !== this._id) {
+        return;
+    }
+    switch (message.type) {
+        case 'claim':
+            if (this.isLeader()) {
+                this._announce();
+            } else if (this._claims !== null) {
+                this._claims[message.from] = true;
+            } else if (this._leader === null) {
+                this._startElection();
+                this._claims[message.from] = true;
+            }
+            break;
+        case 'leader':
+            if (this.isLeader()) {
+                if (message.from < this._id) {
+                    this._follow(message.from);
+                } else {
+                    this._announce();
+                    break;
+                }
+            } else {
+                this._follow(message.from);
+            }
+            if (message.connected && !this._connected) {
+                this._setConnected(message.ctx);
+            }
+            break;
+        case 'resign':
+            if (this._leader === message.from) {
+                this._leaderLost();
+            }
+            break;
+        case 'disconnect':
+            if (this._leader === message.from) {
+                this._setDisconnected(message.ctx);
+            }
+            break;
+        case 'event':
+            var ctx = message.ctx;
+            if (message.event === 'error') {
+                ctx = CentrifugeError.fromObject(message.ctx);
+                ctx.isResubscribe = message.ctx.isResubscribe;
+            }
+            this._dispatchLocal(message.channel, message.event, ctx);
+            break;
+        case 'reply':
+            this._handleReply(message);
+            break;
+        default:
+            if (this.isLeader()) {
+                this._followers[message.from] = new Date().getTime();
+                this._handleLeaderMessage(message, message.from);
+            }
+    }
+};
+
+crossTabProto._setConnected = function (ctx) {
+    this._connectContext = ctx;
+    if (!this._connected) {
+        this._connected = true;
+        var waiters = this._connectWaiters;
+        this._connectWaiters = [];
+        for (var i = 0; i < waiters.length; i++) {
+            waiters[i].resolve(ctx);
+        }
+        this.trigger('connect', [ctx]);
+    }
+};
+
+crossTabProto._setDisconnected = function (ctx) {
+    this._connectContext = null;
+    if (ctx.reconnect === false) {
+        var waiters = this._connectWaiters;
+        this._connectWaiters = [];
+        for (var i = 0; i < waiters.length; i++) {
+            waiters[i].reject(new CentrifugeError('disconnected', ctx.reason, {
+                advice: 'fix'
+            }));
+        }
+    }
+    if (this._connected) {
+        this._connected = false;
+        this.trigger('disconnect', [ctx]);
+    }
+};
+
+crossTabProto._dispatchLocal = function (channel, event, ctx) {
+    var sub = this._subs[channel];
+    if (!sub) {
+        return;
+    }
+    sub._update(event, ctx);
+    sub.trigger(event, [ctx]);
+};
+
+crossTabProto._dispatch = function (channel, event, ctx, to) {
+    var message = {
+        type: 'event',
+        channel: channel,
+        event: event,
+        ctx: ctx
+    };
+    if (event === 'error') {
+        message.ctx = toCentrifugeError(ctx, channel).toObject();
+        message.ctx.isResubscribe = ctx.isResubscribe;
+    }
+    if (to !== null) {
+        message.to = to;
+    }
+    if (to === null || to !== this._id) {
+        this._post(message);
+    }
+    if (to === null || to === this._id) {
+        this._dispatchLocal(channel, event, ctx);
+    }
+};
+
+crossTabProto._handleLeaderMessage = function (message, from) {
+    switch (message.type) {
+        case 'subscribe':
+            this._leaderSubscribe(message.channel, from, message.options);
+            break;
+        case 'unsubscribe':
+            this._leaderUnsubscribe(message.channel, from);
+            break;
+        case 'bye':
+            this._leaderForget(from);
+            break;
+        case 'call':
+            this._leaderCall(message, from);
+            break;
+    }
+};
+
+crossTabProto._leaderForget = function (tab) {
+    delete this._followers[tab];
+    for (var channel in this._subscribers) {
+        if (this._subscribers.hasOwnProperty(channel)) {
+            this._leaderUnsubscribe(channel, tab);
+        }
+    }
+};
+
+crossTabProto._leaderSubscribe = function (channel, tab, options) {
+    var self = this;
+    if (!(channel in this._subscribers)) {
+        this._subscribers[channel] = {};
+    }
+    // subscriber value is true when tab already got subscribe event of
+    // current real subscription.
+    var subscribers = this._subscribers[channel];
+    if (!(tab in subscribers)) {
+        subscribers[tab] = false;
+    }
+
+    var realSub = this._realSubs[channel];
+    if (!realSub) {
+        var events = {};
+        var forward = function (event) {
+            return function (ctx) {
+                if (event === 'subscribe' || event === 'unsubscribe' || event === 'error') {
+                    self._markSubscribers(channel, event === 'subscribe');
+                }
+                self._dispatch(channel, event, ctx, null);
+            };
+        };
+        for (var i = 0; i < subEvents.length; i++) {
+            events[subEvents[i]] = forward(subEvents[i]);
+        }
+        this._realSubs[channel] = this._centrifuge.subscribe(channel, events, options);
+        return;
+    }
+    realSub._setOptions(options);
+    if (realSub._isUnsubscribed()) {
+        realSub.subscribe();
+    } else if (realSub._isSuccess() && subscribers[tab] === false) {
+        // already subscribed for other tabs, just tell new subscriber.
+        subscribers[tab] = true;
+        this._dispatch(channel, 'subscribe', realSub._getSubscribeSuccessContext(), tab);
+    }
+    // tab joined while subscribing gets subscribe event with other tabs.
+};
+
+crossTabProto._markSubscribers = function (channel, subscribed) {
+    var subscribers = this._subscribers[channel];
+    for (var tab in subscribers) {
+        if (subscribers.hasOwnProperty(tab)) {
+            subscribers[tab] = subscribed;
+        }
+    }
+};
+
+crossTabProto._leaderUnsubscribe = function (channel, tab) {
+    var subscribers = this._subscribers[channel];
+    if (!subscribers) {
+        return;
+    }
+    delete subscribers[tab];
+    for (var key in subscribers) {
+        if (subscribers.hasOwnProperty(key)) {
+            return;
+        }
+    }
+    delete this._subscribers[channel];
+    var realSub = this._realSubs[channel];
+    if (realSub) {
+        realSub.removeAllListeners();
+        realSub.unsubscribe();
+        delete this._realSubs[channel];
+    }
+};
+
+crossTabProto._leaderCall = function (message, from) {
+    var self = this;
+    var options = {
+        timeout: message.timeout
+    };
+    var realSub = message.sub ? this._realSubs[message.channel] : null;
+    var promise = new Promise(function (resolve) {
+        if (realSub) {
+            if (message.method === 'publish') {
+                resolve(realSub.publish(message.data, options));
+            } else {
+                resolve(realSub[message.method](options));
+            }
+        } else if (message.method === 'publish') {
+            resolve(self._centrifuge.publish(message.channel, message.data, options));
+        } else {
+            resolve(self._centrifuge[message.method](message.channel, options));
+        }
+    });
+    var reply = function (error, result) {
+        var response = {
+            type: 'reply',
+            id: message.id,
+            error: error,
+            result: result
+        };
+        if (from === self._id) {
+            self._handleReply(response);
+            return;
+        }
+        response.to = from;
+        self._post(response);
+    };
+    promise.then(function (result) {
+        reply(null, result);
+    }, function (err) {
+        reply(toCentrifugeError(err, message.channel).toObject(), null);
+    });
+};
+
+crossTabProto._handleReply = function (message) {
+    var call = this._removeCall(message.id);
+    if (call === null) {
+        return;
+    }
+    if (message.error !== null) {
+        call.reject(CentrifugeError.fromObject(message.error));
+    } else {
+        call.resolve(message.result);
+    }
+};
+
+crossTabProto._removeCall = function (id) {
+    if (!(id in this._calls)) {
+        return null;
+    }
+    var call = this._calls[id];
+    delete this._calls[id];
+    clearTimeout(call.timeout);
+    if (call.signal) {
+        call.signal.removeEventListener('abort', call.onAbort);
+    }
+    return call;
+};
+
+crossTabProto._rejectCalls = function (error) {
+    for (var id in this._calls) {
+        if (this._calls.hasOwnProperty(id)) {
+            this._removeCall(id).reject(new CentrifugeError(error, error, {
+                advice: 'retry'
+            }));
+        }
+    }
+    this._outbox = [];
+};
+
+crossTabProto._sendToLeader = function (message) {
+    if (this.isLeader()) {
+        this._handleLeaderMessage(message, this._id);
+    } else if (this._leader === null) {
+        this._outbox.push(message);
+    } else {
+        this._post(message);
+    }
+};
+
+// sub is true for calls made through CrossTabSub.
+crossTabProto._call = function (method, channel, data, options, sub) {
+    var self = this;
+    options = options || {};
+    return new Promise(function (resolve, reject) {
+        if (options.signal && options.signal.aborted) {
+            reject(new CentrifugeError('cancelled', 'cancelled', {
+                channel: channel
+            }));
+            return;
+        }
+        var id = self._nextCallID++;
+        var timeout = options.timeout || self._timeout();
+        var wait = timeout;
+        if (sub && method === 'publish' && self._options.publishQueue) {
+            // publish can wait in leader offline queue before it is sent.
+            wait += self._options.publishQueueMaxAge || 60000;
+        }
+        var call = {
+            resolve: resolve,
+            reject: reject,
+            timeout: setTimeout(function () {
+                if (self._removeCall(id) !== null) {
+                    reject(new CentrifugeError('timeout', 'timeout', {
+                        advice: 'retry',
+                        channel: channel
+                    }));
+                }
+            }, wait),
+            signal: options.signal || null,
+            onAbort: null
+        };
+        if (call.signal) {
+            call.onAbort = function () {
+                if (self._removeCall(id) !== null) {
+                    reject(new CentrifugeError('cancelled', 'cancelled', {
+                        channel: channel
+                    }));
+                }
+            };
+            call.signal.addEventListener('abort', call.onAbort);
+        }
+        self._calls[id] = call;
+        self._sendToLeader({
+            type: 'call',
+            id: id,
+            method: method,
+            channel: channel,
+            data: data,
+            timeout: timeout,
+            sub: sub === true
+        });
+    });
+};
+
+crossTabProto.publish = function (channel, data, options) {
+    return this._call('publish', channel, data, options);
+};
+
+crossTabProto.presence = function (channel, options) {
+    return this._call('presence', channel, null, options);
+};
+
+crossTabProto.history = function (channel, options) {
+    return this._call('history', channel, null, options);
+};
+
+crossTabProto.subscribe = function (channel, events, options) {
+    var sub = this._subs[channel];
+    if (sub) {
+        sub._setEvents(events);
+        sub._setOptions(options);
+        return sub;
+    }
+    sub = new CrossTabSub(this, channel, events, options);
+    this._subscribe(sub);
+    return sub;
+};
+
+crossTabProto._subscribe = function (sub) {
+    if (sub.channel in this._subs) {
+        // already subscribed with this or newer subscription object.
+        return;
+    }
+    this._subs[sub.channel] = sub;
+    if (this.isLeader()) {
+        this._leaderSubscribe(sub.channel, this._id, sub._options);
+    } else if (this._leader !== null) {
+        this._post({
+            type: 'subscribe',
+            channel: sub.channel,
+            options: sub._options
+        });
+    }
+    // without leader subscription is sent when leader elected.
+};
+
+crossTabProto._unsubscribe = function (sub) {
+    if (this._subs[sub.channel] !== sub) {
+        return;
+    }
+    delete this._subs[sub.channel];
+    if (this.isLeader()) {
+        this._leaderUnsubscribe(sub.channel, this._id);
+    } else if (this._leader !== null) {
+        this._post({
+            type: 'unsubscribe',
+            channel: sub.channel
+        });
+    }
+    sub._update('unsubscribe', null);
+    sub.trigger('unsubscribe', [{
+        channel: sub.channel
+    }]);
+};
+
+module.exports = CrossTabCentrifuge;
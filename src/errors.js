@@ -0,0 +1,90 @@
+var extend = require('./utils').extend;
+
+/**
+ * CentrifugeError is used for all errors client throws, rejects promises with
+ * and passes into error event handlers. Fields:
+ *
+ *   code      - stable error code to branch on, see below
+ *   message   - human readable error description
+ *   advice    - advice from server or client: 'retry' or 'fix' (or null)
+ *   channel   - channel error relates to (or null)
+ *   temporary - true if operation can succeed when retried later
+ *   status    - HTTP response status for `http` errors (or null)
+ *   cause     - underlying error which caused this one (or null)
+ *   error     - same as message, kept for backwards compatibility
+ *
+ * Codes:
+ *
+ *   config           - invalid client configuration
+ *   invalid_argument - invalid argument passed to client method
+ *   invalid_state    - method can not be called in current client state
+ *   server           - error returned by Centrifugo, message contains server error
+ *   timeout          - no reply from server during call timeout
+ *   disconnected     - client disconnected before operation completed
+ *   cancelled        - call cancelled by signal
+ *   unsubscribed     - subscription unsubscribed
+ *   publish_dropped  - message dropped from offline publish queue
+ *   auth_failed      - private channel authorization request failed
+ *   auth_missing     - channel not found in authorization response
+ *   auth_denied      - authorization response contains error status for channel
+ *   refresh_failed   - could not refresh connection credentials
+ *   network          - HTTP request to application failed on network level
+ *   http             - application responded with non 2xx HTTP status
+ *   invalid_response - application responded with invalid JSON
+ *   internal         - unexpected error thrown inside client
+ */
+function CentrifugeError(code, message, options) {
+    options = options || {};
+    this.name = 'CentrifugeError';
+    this.code = code;
+    this.message = message;
+    this.advice = options.advice || null;
+    this.channel = options.channel || null;
+    if (options.temporary !== undefined) {
+        this.temporary = options.temporary;
+    } else {
+        this.temporary = this.advice === 'retry';
+    }
+    this.status = options.status || null;
+    this.cause = options.cause || null;
+    this.error = message;
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, CentrifugeError);
+    } else {
+        this.stack = (new Error(message)).stack;
+    }
+}
+
+extend(CentrifugeError, Error);
+
+CentrifugeError.prototype.toString = function () {
+    return this.name + ' [' + this.code + ']: ' + this.message;
+};
+
+/**
+ * Plain object with error fields which can be passed between tabs or workers,
+ * use fromObject to restore error from it.
+ */
+CentrifugeError.prototype.toObject = function () {
+    return {
+        code: this.code,
+        message: this.message,
+        advice: this.advice,
+        channel: this.channel,
+        temporary: this.temporary,
+        status: this.status,
+        cause: this.cause instanceof CentrifugeError ? this.cause.toObject() : null
+    };
+};
+
+CentrifugeError.fromObject = function (object) {
+    return new CentrifugeError(object.code, object.message, {
+        advice: object.advice,
+        channel: object.channel,
+        temporary: object.temporary,
+        status: object.status,
+        cause: object.cause ? CentrifugeError.fromObject(object.cause) : null
+    });
+};
+
+module.exports = CentrifugeError;
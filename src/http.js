@@ -0,0 +1,215 @@
+/**
+ * HTTP clients used to send auth and refresh requests to application backend.
+ * Client is an object with `request(request)` method which returns promise
+ * resolved with `{status, body}` response object (body is response text) for
+ * any HTTP status and rejected with CentrifugeError on network error
+ * (`network` code), timeout (`timeout` code) or abort (`cancelled` code).
+ *
+ * Request fields:
+ *
+ *   url         - full request URL
+ *   method      - HTTP method
+ *   headers     - object with request headers
+ *   body        - request body string or null
+ *   credentials - `include`, `same-origin` or `omit`
+ *   timeout     - request timeout in milliseconds, 0 means no timeout
+ *   signal      - AbortSignal-like object to abort request (can be null)
+ *
+ * FetchHTTPClient works on top of `fetch` function, XHRHTTPClient on top of
+ * XMLHttpRequest for environments without `fetch`.
+ */
+var Promise = require('es6-promise').Promise;
+var CentrifugeError = require('./errors');
+
+function isTemporaryStatus(status) {
+    return status >= 500 || status === 408 || status === 429;
+}
+
+function statusError(status) {
+    var temporary = isTemporaryStatus(status);
+    return new CentrifugeError('http', 'request failed with status ' + status, {
+        advice: temporary ? 'retry' : 'fix',
+        status: status
+    });
+}
+
+/**
+ * Minimal AbortController replacement for environments without one.
+ */
+function AbortController() {
+    var listeners = [];
+    var signal = {
+        aborted: false,
+        addEventListener: function (type, listener) {
+            listeners.push(listener);
+        },
+        removeEventListener: function (type, listener) {
+            var index = listeners.indexOf(listener);
+            if (index > -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    };
+    this.signal = signal;
+    this.abort = function () {
+        if (signal.aborted) {
+            return;
+        }
+        signal.aborted = true;
+        var current = listeners.slice(0);
+        for (var i = 0; i < current.length; i++) {
+            current[i]();
+        }
+    };
+}
+
+function createAbortController() {
+    if (global.AbortController) {
+        return new global.AbortController();
+    }
+    return new AbortController();
+}
+
+// common request lifecycle: settles promise once, handles timeout and abort
+// signal. abort function is called to stop underlying request.
+function track(request, resolve, reject, abort) {
+    var finished = false;
+    var timer = null;
+    var onAbort;
+
+    var finish = function (fn, value) {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        if (timer !== null) {
+            clearTimeout(timer);
+        }
+        if (request.signal) {
+            request.signal.removeEventListener('abort', onAbort);
+        }
+        fn(value);
+    };
+
+    onAbort = function () {
+        abort();
+        finish(reject, new CentrifugeError('cancelled', 'request cancelled'));
+    };
+
+    if (request.signal) {
+        if (request.signal.aborted) {
+            onAbort();
+            return null;
+        }
+        request.signal.addEventListener('abort', onAbort);
+    }
+
+    if (request.timeout > 0) {
+        timer = setTimeout(function () {
+            abort();
+            finish(reject, new CentrifugeError('timeout', 'request timeout', {advice: 'retry'}));
+        }, request.timeout);
+    }
+
+    return {
+        resolve: function (value) {
+            finish(resolve, value);
+        },
+        reject: function (value) {
+            finish(reject, value);
+        }
+    };
+}
+
+function networkError(err) {
+    var message = err && err.message ? err.message : '' + err;
+    return new CentrifugeError('network', 'network error: ' + message, {advice: 'retry'});
+}
+
+function FetchHTTPClient(options) {
+    options = options || {};
+    this._fetch = options.fetch || null;
+}
+
+FetchHTTPClient.prototype.request = function (request) {
+    var fetchFunc = this._fetch || global.fetch;
+    return new Promise(function (resolve, reject) {
+        var controller = global.AbortController ? new global.AbortController() : null;
+        var tracker = track(request, resolve, reject, function () {
+            if (controller !== null) {
+                controller.abort();
+            }
+        });
+        if (tracker === null) {
+            return;
+        }
+        var init = {
+            method: request.method,
+            headers: request.headers,
+            credentials: request.credentials
+        };
+        if (request.body !== null) {
+            init.body = request.body;
+        }
+        if (controller !== null) {
+            init.signal = controller.signal;
+        }
+        fetchFunc(request.url, init).then(function (response) {
+            return response.text().then(function (text) {
+                tracker.resolve({
+                    status: response.status,
+                    body: text
+                });
+            });
+        }).then(null, function (err) {
+            tracker.reject(networkError(err));
+        });
+    });
+};
+
+function XHRHTTPClient() {
+}
+
+XHRHTTPClient.prototype.request = function (request) {
+    return new Promise(function (resolve, reject) {
+        var xhr = new global.XMLHttpRequest();
+        var tracker = track(request, resolve, reject, function () {
+            xhr.abort();
+        });
+        if (tracker === null) {
+            return;
+        }
+        xhr.open(request.method, request.url, true);
+        if ('withCredentials' in xhr) {
+            xhr.withCredentials = request.credentials === 'include';
+        }
+        for (var headerName in request.headers) {
+            if (request.headers.hasOwnProperty(headerName)) {
+                xhr.setRequestHeader(headerName, request.headers[headerName]);
+            }
+        }
+        xhr.onreadystatechange = function () {
+            if (xhr.readyState !== 4) {
+                return;
+            }
+            if (xhr.status === 0) {
+                // network error, CORS error or aborted request.
+                tracker.reject(networkError('request failed'));
+                return;
+            }
+            tracker.resolve({
+                status: xhr.status,
+                body: xhr.responseText
+            });
+        };
+        xhr.send(request.body);
+    });
+};
+
+module.exports = {
+    FetchHTTPClient: FetchHTTPClient,
+    XHRHTTPClient: XHRHTTPClient,
+    createAbortController: createAbortController,
+    isTemporaryStatus: isTemporaryStatus,
+    statusError: statusError
+};
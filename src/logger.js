@@ -0,0 +1,126 @@
+/**
+ * Logging. Client writes log entries into logger object with methods for
+ * every level:
+ *
+ *   debug(message, fields)
+ *   info(message, fields)
+ *   warn(message, fields)
+ *   error(message, fields)
+ *
+ * Fields is a plain object with structured entry context - `namespace`
+ * (`centrifuge`, `centrifuge:transport`, `centrifuge:auth` etc), `client` id
+ * when known and entry specific fields like `channel` or `uid`. Values of
+ * sensitive fields (`token` and `sign` by default) are replaced with
+ * `[redacted]` at any depth of plain objects and arrays before entry reaches
+ * logger, errors and other objects are passed as is.
+ *
+ * consoleLogger is used by default.
+ */
+var isFunction = require('./utils').isFunction;
+
+var levels = {
+    debug: 0,
+    info: 1,
+    warn: 2,
+    error: 3,
+    none: 4
+};
+
+var consoleLogger = {};
+
+function consoleMethod(level) {
+    return function (message, fields) {
+        if (!global.console) {
+            return;
+        }
+        var method = global.console[level];
+        if (!isFunction(method)) {
+            method = global.console.log;
+        }
+        if (isFunction(method)) {
+            method.call(global.console, '[' + fields.namespace + '] ' + message, fields);
+        }
+    };
+}
+
+for (var level in levels) {
+    if (levels.hasOwnProperty(level) && level !== 'none') {
+        consoleLogger[level] = consoleMethod(level);
+    }
+}
+
+function isPlainObject(value) {
+    var proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+function redact(value, keys, depth) {
+    if (value === null || typeof value !== 'object' || depth > 10) {
+        return value;
+    }
+    var result;
+    if (Object.prototype.toString.call(value) === Object.prototype.toString.call([])) {
+        result = [];
+        for (var i = 0; i < value.length; i++) {
+            result.push(redact(value[i], keys, depth + 1));
+        }
+        return result;
+    }
+    if (!isPlainObject(value)) {
+        // copying errors, buffers or class instances would lose their data.
+        return value;
+    }
+    result = {};
+    for (var key in value) {
+        if (!value.hasOwnProperty(key)) {
+            continue;
+        }
+        if (keys.indexOf(key) > -1 && value[key] !== undefined && value[key] !== null && value[key] !== '') {
+            result[key] = '[redacted]';
+        } else {
+            result[key] = redact(value[key], keys, depth + 1);
+        }
+    }
+    return result;
+}
+
+/**
+ * Logger wraps user provided (or console) logger, filters entries by level
+ * and redacts sensitive fields.
+ */
+function Logger(options) {
+    options = options || {};
+    this._logger = options.logger || consoleLogger;
+    this._level = levels[options.level] !== undefined ? levels[options.level] : levels.info;
+    this._redact = options.redact || [];
+}
+
+Logger.prototype.enabled = function (level) {
+    return levels[level] >= this._level && isFunction(this._logger[level]);
+};
+
+Logger.prototype.log = function (level, namespace, message, fields) {
+    if (!this.enabled(level)) {
+        return;
+    }
+    var entry = {namespace: namespace ? 'centrifuge:' + namespace : 'centrifuge'};
+    if (fields) {
+        fields = redact(fields, this._redact, 0);
+        for (var key in fields) {
+            if (fields.hasOwnProperty(key)) {
+                entry[key] = fields[key];
+            }
+        }
+    }
+    try {
+        this._logger[level](message, entry);
+    } catch (e) {
+        // broken logger must never break client.
+    }
+};
+
+module.exports = {
+    Logger: Logger,
+    consoleLogger: consoleLogger,
+    levels: levels
+};
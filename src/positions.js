@@ -0,0 +1,88 @@
+/**
+ * Position store keeps uid of last message received from channel so client
+ * can recover missed messages after page reload just like it does after
+ * reconnect. Store is an object with methods:
+ *
+ *   get(channel)      - return last uid for channel (or null), can return promise
+ *   set(channel, uid) - save last uid for channel
+ *
+ * StoragePositionStore works on top of Web Storage (localStorage or
+ * sessionStorage), IndexedDBPositionStore on top of IndexedDB.
+ */
+var Promise = require('es6-promise').Promise;
+
+function StoragePositionStore(storage, prefix) {
+    this._storage = storage;
+    this._prefix = prefix || 'centrifuge_position_';
+}
+
+StoragePositionStore.prototype.get = function (channel) {
+    return this._storage.getItem(this._prefix + channel);
+};
+
+StoragePositionStore.prototype.set = function (channel, uid) {
+    try {
+        this._storage.setItem(this._prefix + channel, uid);
+    } catch (e) {
+        // storage can be full or disabled (Safari private mode), position
+        // is not critical so just ignore.
+    }
+};
+
+function IndexedDBPositionStore(options) {
+    options = options || {};
+    this._indexedDB = options.indexedDB || global.indexedDB;
+    this._name = options.name || 'centrifuge';
+    this._storeName = 'positions';
+    this._db = null;
+}
+
+IndexedDBPositionStore.prototype._open = function () {
+    var self = this;
+    if (this._db !== null) {
+        return this._db;
+    }
+    this._db = new Promise(function (resolve, reject) {
+        var request = self._indexedDB.open(self._name, 1);
+        request.onupgradeneeded = function () {
+            request.result.createObjectStore(self._storeName);
+        };
+        request.onsuccess = function () {
+            resolve(request.result);
+        };
+        request.onerror = function () {
+            self._db = null;
+            reject(request.error);
+        };
+    });
+    return this._db;
+};
+
+IndexedDBPositionStore.prototype.get = function (channel) {
+    var self = this;
+    return this._open().then(function (db) {
+        return new Promise(function (resolve, reject) {
+            var request = db.transaction(self._storeName, 'readonly').objectStore(self._storeName).get(channel);
+            request.onsuccess = function () {
+                resolve(request.result === undefined ? null : request.result);
+            };
+            request.onerror = function () {
+                reject(request.error);
+            };
+        });
+    });
+};
+
+IndexedDBPositionStore.prototype.set = function (channel, uid) {
+    var self = this;
+    return this._open().then(function (db) {
+        db.transaction(self._storeName, 'readwrite').objectStore(self._storeName).put(uid, channel);
+    }).then(null, function () {
+        // position is not critical so just ignore write errors.
+    });
+};
+
+module.exports = {
+    StoragePositionStore: StoragePositionStore,
+    IndexedDBPositionStore: IndexedDBPositionStore
+};
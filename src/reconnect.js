@@ -0,0 +1,103 @@
+/**
+ * Reconnect strategies.
+ *
+ * Strategy is an object with `delay(attempt)` method (or just a function)
+ * returning number of milliseconds to wait before reconnect attempt or null
+ * to stop reconnecting. Attempt starts from 0 and is reset after successful
+ * connect.
+ *
+ * All built-in strategies accept `maxAttempts` option - after that number of
+ * failed attempts strategy gives up.
+ */
+
+function limited(options, delay) {
+    var maxAttempts = options.maxAttempts;
+    return {
+        delay: function (attempt) {
+            if (maxAttempts !== undefined && maxAttempts !== null && attempt >= maxAttempts) {
+                return null;
+            }
+            return delay(attempt);
+        }
+    };
+}
+
+function exponentialInterval(step, min, max) {
+    var interval = min * Math.pow(2, step + 1);
+    if (interval > max) {
+        interval = max;
+    }
+    return interval;
+}
+
+/**
+ * Exponential backoff with partial jitter - default strategy, `min` and `max`
+ * are taken from `retry` and `maxRetry` options.
+ */
+function exponential(options) {
+    var jitter = options.jitter !== undefined ? options.jitter : 0.5;
+    return limited(options, function (attempt) {
+        var interval = exponentialInterval(attempt, options.min, options.max);
+        return Math.floor((1 - jitter * Math.random()) * interval);
+    });
+}
+
+/**
+ * Exponential backoff with full jitter - random delay between 0 and
+ * exponentially growing interval.
+ */
+function fullJitter(options) {
+    return limited(options, function (attempt) {
+        return Math.floor(Math.random() * exponentialInterval(attempt, options.min, options.max));
+    });
+}
+
+/**
+ * Decorrelated jitter - random delay between `min` and three times previous
+ * delay, capped by `max`.
+ */
+function decorrelatedJitter(options) {
+    var previous = options.min;
+    return limited(options, function (attempt) {
+        if (attempt === 0) {
+            previous = options.min;
+        }
+        var upper = Math.min(options.max, previous * 3);
+        previous = Math.floor(options.min + Math.random() * (upper - options.min));
+        return previous;
+    });
+}
+
+/**
+ * Linear backoff - `min` plus `step` for every failed attempt, capped by `max`.
+ */
+function linear(options) {
+    return limited(options, function (attempt) {
+        return Math.min(options.max, options.min + options.step * attempt);
+    });
+}
+
+/**
+ * Fixed schedule of delays. When schedule is over strategy gives up unless
+ * `repeatLast` option set.
+ */
+function schedule(delays, options) {
+    options = options || {};
+    return limited(options, function (attempt) {
+        if (attempt < delays.length) {
+            return delays[attempt];
+        }
+        if (options.repeatLast && delays.length > 0) {
+            return delays[delays.length - 1];
+        }
+        return null;
+    });
+}
+
+module.exports = {
+    exponential: exponential,
+    fullJitter: fullJitter,
+    decorrelatedJitter: decorrelatedJitter,
+    linear: linear,
+    schedule: schedule
+};
@@ -0,0 +1,594 @@
+/**
+ * Test kit for code built on top of Centrifuge client.
+ *
+ * MockServer is an in-process fake of Centrifugo server speaking the same
+ * JSON client protocol over in-memory transport, so client code can be unit
+ * tested without real server and without crafting protocol frames by hand:
+ *
+ *   var MockServer = require('centrifuge/src/testkit').MockServer;
+ *
+ *   var server = new MockServer();
+ *   var centrifuge = new Centrifuge({
+ *       url: 'http://localhost:8000/connection',
+ *       insecure: true,
+ *       transport: server.transport()
+ *   });
+ *   centrifuge.connect();
+ *
+ *   server.settle().then(function () {
+ *       server.assertSent('connect');
+ *       server.publish('news', {text: 'hello'});
+ *   });
+ *
+ * All frames sent from server are delivered asynchronously, settle() returns
+ * a promise resolved when there are no more frames waiting for delivery.
+ */
+var Promise = require('es6-promise').Promise;
+var EventEmitter = require('wolfy87-eventemitter');
+var extend = require('./utils').extend;
+var JSONCodec = require('./codecs').JSONCodec;
+
+function isArray(value) {
+    return Object.prototype.toString.call(value) === Object.prototype.toString.call([]);
+}
+
+// partialMatch returns true if every field of expected has equal value in actual.
+function partialMatch(actual, expected) {
+    if (expected === undefined) {
+        return true;
+    }
+    if (expected === null || typeof expected !== 'object') {
+        return actual === expected;
+    }
+    if (actual === null || typeof actual !== 'object') {
+        return false;
+    }
+    for (var key in expected) {
+        if (expected.hasOwnProperty(key)) {
+            if (!partialMatch(actual[key], expected[key])) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+function MockTransport(server) {
+    this.name = 'mock';
+    this._server = server;
+    this._connection = null;
+    this.onOpen = null;
+    this.onMessage = null;
+    this.onClose = null;
+    this.onError = null;
+    this.onHeartbeat = null;
+}
+
+MockTransport.prototype.open = function () {
+    this._server._open(this);
+};
+
+MockTransport.prototype.send = function (data) {
+    if (this._connection === null) {
+        // like Websocket in CONNECTING state.
+        throw new Error('mock transport is not open');
+    }
+    if (this._connection.closed) {
+        // like Websocket in CLOSING state frame is silently dropped.
+        return;
+    }
+    this._server._receive(this._connection, data);
+};
+
+MockTransport.prototype.close = function () {
+    if (this._connection !== null) {
+        this._connection.close();
+    }
+};
+
+function MockConnection(server, transport, client) {
+    this.client = client;
+    this.user = null;
+    this.channels = {};
+    this.closed = false;
+    this._closeDelivered = false;
+    this._server = server;
+    this._transport = transport;
+}
+
+MockConnection.prototype.send = function (replies) {
+    if (replies.length === 0 || this.closed) {
+        return;
+    }
+    var self = this;
+    var frame = this._server.codec.encode(replies.length === 1 ? replies[0] : replies);
+    this._server._schedule(function () {
+        if (!self._closeDelivered) {
+            self._transport.onMessage(frame);
+        }
+    });
+};
+
+MockConnection.prototype.close = function (reason) {
+    if (this.closed) {
+        return;
+    }
+    this.closed = true;
+    this._server._removeConnection(this);
+    var self = this;
+    // close is scheduled behind frames already sent so they are delivered first.
+    this._server._schedule(function () {
+        self._closeDelivered = true;
+        self._transport.onClose({
+            reason: reason || ''
+        });
+    });
+};
+
+/**
+ * MockServer options:
+ *
+ *   historySize - how many messages to keep in channel history, 10 by default
+ *   expires     - send `expires` flag in connect reply so client starts refreshing
+ *   ttl         - connection ttl in seconds sent with `expires` flag
+ *   codec       - codec to encode and decode frames, must match client codec,
+ *                 JSON by default
+ */
+function MockServer(options) {
+    options = options || {};
+    this.historySize = options.historySize || 10;
+    this.expires = options.expires || false;
+    this.ttl = options.ttl || 0;
+    this.codec = options.codec || new JSONCodec();
+    this.refuse = false;
+    this.commands = [];
+    this.connections = [];
+    this._history = {};
+    this._handlers = {};
+    this._nextClientID = 1;
+    this._nextMessageID = 1;
+    this._queue = [];
+    this._timer = null;
+    this._settleWaiters = [];
+}
+
+extend(MockServer, EventEmitter);
+
+var serverProto = MockServer.prototype;
+
+/**
+ * transport returns transport factory to be used as `transport` option of
+ * Centrifuge client.
+ */
+serverProto.transport = function () {
+    var self = this;
+    return function () {
+        return new MockTransport(self);
+    };
+};
+
+serverProto._schedule = function (fn) {
+    var self = this;
+    this._queue.push(fn);
+    if (this._timer === null) {
+        this._timer = setTimeout(function () {
+            self._drain();
+        }, 0);
+    }
+};
+
+serverProto._drain = function () {
+    this._timer = null;
+    var queue = this._queue;
+    this._queue = [];
+    for (var i = 0; i < queue.length; i++) {
+        queue[i]();
+    }
+    if (this._queue.length > 0) {
+        var self = this;
+        this._timer = setTimeout(function () {
+            self._drain();
+        }, 0);
+        return;
+    }
+    var waiters = this._settleWaiters;
+    this._settleWaiters = [];
+    for (var j = 0; j < waiters.length; j++) {
+        waiters[j]();
+    }
+};
+
+/**
+ * settle returns promise resolved when all frames scheduled by server were
+ * delivered to clients.
+ */
+serverProto.settle = function () {
+    var self = this;
+    return new Promise(function (resolve) {
+        if (self._timer === null && self._queue.length === 0) {
+            // still let client finish what it is doing at the moment.
+            setTimeout(resolve, 0);
+            return;
+        }
+        self._settleWaiters.push(resolve);
+    });
+};
+
+serverProto._open = function (transport) {
+    var self = this;
+    if (this.refuse) {
+        this._schedule(function () {
+            transport.onClose({
+                reason: ''
+            });
+        });
+        return;
+    }
+    var connection = new MockConnection(this, transport, 'client-' + this._nextClientID++);
+    transport._connection = connection;
+    this.connections.push(connection);
+    this._schedule(function () {
+        if (!connection.closed) {
+            transport.onOpen();
+        }
+    });
+};
+
+serverProto._removeConnection = function (connection) {
+    var index = this.connections.indexOf(connection);
+    if (index !== -1) {
+        this.connections.splice(index, 1);
+    }
+};
+
+serverProto._receive = function (connection, data) {
+    var commands = this.codec.decode(data);
+    if (!isArray(commands)) {
+        commands = [commands];
+    }
+    var replies = [];
+    for (var i = 0; i < commands.length; i++) {
+        var command = commands[i];
+        command.client = connection.client;
+        this.commands.push(command);
+        this.trigger('command', [command]);
+        var reply = this._handle(connection, command);
+        if (reply !== null) {
+            replies.push(reply);
+        }
+    }
+    connection.send(replies);
+};
+
+serverProto._handle = function (connection, command) {
+    var result;
+    var handler = this._handlers[command.method];
+    if (handler) {
+        result = handler.call(this, command.params || {}, connection, command);
+    } else {
+        var method = this['_' + command.method + 'Command'];
+        if (!method) {
+            result = {
+                error: 'method not found',
+                advice: 'fix'
+            };
+        } else {
+            result = method.call(this, command.params || {}, connection);
+        }
+    }
+    if (result === null || result === undefined) {
+        // no reply at all - useful to simulate call timeouts.
+        return null;
+    }
+    var reply = {
+        uid: command.uid,
+        method: command.method,
+        body: 'body' in result ? result.body : null
+    };
+    if (result.error) {
+        reply.error = result.error;
+        if (result.advice) {
+            reply.advice = result.advice;
+        }
+    }
+    return reply;
+};
+
+/**
+ * handle overrides server behaviour for method. Handler is called with command
+ * params and connection and must return object with `body` or with `error` and
+ * `advice` fields. Returning null means server will not reply on command at all.
+ */
+serverProto.handle = function (method, handler) {
+    if (handler === null) {
+        delete this._handlers[method];
+        return;
+    }
+    this._handlers[method] = handler;
+};
+
+serverProto._credentialsBody = function (connection) {
+    var body = {
+        version: 'mock',
+        client: connection.client,
+        expires: this.expires,
+        expired: false,
+        ttl: this.ttl
+    };
+    return {
+        body: body
+    };
+};
+
+serverProto._connectCommand = function (params, connection) {
+    connection.user = params.user;
+    return this._credentialsBody(connection);
+};
+
+serverProto._refreshCommand = function (params, connection) {
+    connection.user = params.user;
+    return this._credentialsBody(connection);
+};
+
+serverProto._pingCommand = function () {
+    return {
+        body: null
+    };
+};
+
+serverProto._missedMessages = function (channel, last) {
+    var history = this._history[channel] || [];
+    for (var i = 0; i < history.length; i++) {
+        if (history[i].uid === last) {
+            return {
+                messages: history.slice(0, i),
+                recovered: true
+            };
+        }
+    }
+    return {
+        messages: history.slice(0),
+        recovered: false
+    };
+};
+
+serverProto._subscribeCommand = function (params, connection) {
+    var channel = params.channel;
+    connection.channels[channel] = true;
+    var history = this._history[channel] || [];
+    var body = {
+        channel: channel,
+        status: true,
+        last: history.length > 0 ? history[0].uid : ''
+    };
+    if (params.recover === true) {
+        var missed = this._missedMessages(channel, params.last);
+        body.messages = missed.messages;
+        body.recovered = missed.recovered;
+    }
+    return {
+        body: body
+    };
+};
+
+serverProto._unsubscribeCommand = function (params, connection) {
+    delete connection.channels[params.channel];
+    return {
+        body: {
+            channel: params.channel,
+            status: true
+        }
+    };
+};
+
+serverProto._publishCommand = function (params, connection) {
+    this.publish(params.channel, params.data, {
+        client: connection.client
+    });
+    return {
+        body: {
+            channel: params.channel,
+            status: true
+        }
+    };
+};
+
+serverProto._presenceCommand = function (params) {
+    var data = {};
+    for (var i = 0; i < this.connections.length; i++) {
+        var connection = this.connections[i];
+        if (connection.channels[params.channel]) {
+            data[connection.client] = {
+                user: connection.user,
+                client: connection.client
+            };
+        }
+    }
+    return {
+        body: {
+            channel: params.channel,
+            data: data
+        }
+    };
+};
+
+serverProto._historyCommand = function (params) {
+    return {
+        body: {
+            channel: params.channel,
+            data: (this._history[params.channel] || []).slice(0)
+        }
+    };
+};
+
+serverProto._subscribers = function (channel) {
+    var result = [];
+    for (var i = 0; i < this.connections.length; i++) {
+        if (this.connections[i].channels[channel]) {
+            result.push(this.connections[i]);
+        }
+    }
+    return result;
+};
+
+/**
+ * publish sends message into channel to all subscribed clients and saves it
+ * in channel history. Extra fields (info, client) can be passed in fields.
+ * Returns message sent.
+ */
+serverProto.publish = function (channel, data, fields) {
+    var message = {
+        uid: 'mock-' + this._nextMessageID++,
+        channel: channel,
+        data: data
+    };
+    if (fields) {
+        for (var key in fields) {
+            if (fields.hasOwnProperty(key)) {
+                message[key] = fields[key];
+            }
+        }
+    }
+    if (!(channel in this._history)) {
+        this._history[channel] = [];
+    }
+    var history = this._history[channel];
+    history.unshift(message);
+    if (history.length > this.historySize) {
+        history.length = this.historySize;
+    }
+    var subscribers = this._subscribers(channel);
+    for (var i = 0; i < subscribers.length; i++) {
+        subscribers[i].send([{
+            method: 'message',
+            body: message
+        }]);
+    }
+    return message;
+};
+
+serverProto._pushToSubscribers = function (channel, method, body) {
+    var subscribers = this._subscribers(channel);
+    for (var i = 0; i < subscribers.length; i++) {
+        subscribers[i].send([{
+            method: method,
+            body: body
+        }]);
+    }
+};
+
+serverProto.join = function (channel, info) {
+    this._pushToSubscribers(channel, 'join', {
+        channel: channel,
+        data: info
+    });
+};
+
+serverProto.leave = function (channel, info) {
+    this._pushToSubscribers(channel, 'leave', {
+        channel: channel,
+        data: info
+    });
+};
+
+/**
+ * unsubscribe unsubscribes all clients from channel on server side.
+ */
+serverProto.unsubscribe = function (channel) {
+    var subscribers = this._subscribers(channel);
+    for (var i = 0; i < subscribers.length; i++) {
+        delete subscribers[i].channels[channel];
+        subscribers[i].send([{
+            method: 'unsubscribe',
+            body: {
+                channel: channel
+            }
+        }]);
+    }
+};
+
+/**
+ * disconnect sends disconnect command with advice to all clients and closes
+ * their connections with the same advice in close reason.
+ */
+serverProto.disconnect = function (reason, reconnect) {
+    var advice = {
+        reason: reason || '',
+        reconnect: reconnect === true
+    };
+    var connections = this.connections.slice(0);
+    for (var i = 0; i < connections.length; i++) {
+        connections[i].send([{
+            method: 'disconnect',
+            body: advice
+        }]);
+        connections[i].close(JSON.stringify(advice));
+    }
+};
+
+/**
+ * drop closes all connections without any advice as if network failed.
+ */
+serverProto.drop = function () {
+    var connections = this.connections.slice(0);
+    for (var i = 0; i < connections.length; i++) {
+        connections[i].close();
+    }
+};
+
+/**
+ * sent returns commands received from clients filtered by method and
+ * (partially matching) params.
+ */
+serverProto.sent = function (method, params) {
+    var result = [];
+    for (var i = 0; i < this.commands.length; i++) {
+        var command = this.commands[i];
+        if (method && command.method !== method) {
+            continue;
+        }
+        if (!partialMatch(command.params, params)) {
+            continue;
+        }
+        result.push(command);
+    }
+    return result;
+};
+
+serverProto.lastCommand = function (method) {
+    var commands = this.sent(method);
+    if (commands.length === 0) {
+        return null;
+    }
+    return commands[commands.length - 1];
+};
+
+/**
+ * assertSent throws an Error if client did not send command with method and
+ * (partially matching) params. Returns last matching command otherwise.
+ */
+serverProto.assertSent = function (method, params) {
+    var commands = this.sent(method, params);
+    if (commands.length === 0) {
+        throw new Error('expected client to send ' + method + ' command' +
+            (params ? ' with params ' + JSON.stringify(params) : '') +
+            ', got: ' + JSON.stringify(this.commands));
+    }
+    return commands[commands.length - 1];
+};
+
+serverProto.assertNotSent = function (method, params) {
+    var commands = this.sent(method, params);
+    if (commands.length > 0) {
+        throw new Error('expected client not to send ' + method + ' command, got: ' + JSON.stringify(commands));
+    }
+};
+
+serverProto.reset = function () {
+    this.commands = [];
+};
+
+module.exports = {
+    MockServer: MockServer,
+    MockTransport: MockTransport
+};
@@ -0,0 +1,120 @@
+/**
+ * Transport is an object Centrifuge uses to exchange frames with server.
+ *
+ * Before calling open() client assigns lifecycle callbacks to transport:
+ *
+ *   onOpen()            - connection established, transport name must be set at this moment
+ *   onMessage(data)     - data frame received from server
+ *   onClose(closeEvent) - connection closed, closeEvent may contain `reason` string
+ *   onError(error)      - transport level error
+ *   onHeartbeat()       - server heartbeat frame received (optional)
+ *
+ * And then uses transport methods and properties:
+ *
+ *   open()     - start connecting
+ *   send(data) - send encoded data frame to server, string or binary depending on codec
+ *   close()    - close connection, onClose must be called eventually
+ *   name       - transport name, exposed in connect event context
+ *
+ * SockJSTransport and WebSocketTransport are built-in implementations, custom
+ * ones can be provided using `transport` configuration option.
+ */
+
+function SockJSTransport(url, options) {
+    this.url = url;
+    this.name = null;
+    this._options = options;
+    this._sock = null;
+    this.onOpen = null;
+    this.onMessage = null;
+    this.onClose = null;
+    this.onError = null;
+    this.onHeartbeat = null;
+}
+
+SockJSTransport.prototype.open = function () {
+    var self = this;
+    var sockjsOptions = {
+        transports: this._options.transports
+    };
+    if (this._options.server !== null && this._options.server !== undefined) {
+        sockjsOptions.server = this._options.server;
+    }
+    this._sock = new this._options.sockJS(this.url, null, sockjsOptions);
+
+    this._sock.onopen = function () {
+        self.name = self._sock.transport;
+        self.onOpen();
+    };
+    this._sock.onheartbeat = function () {
+        if (self.onHeartbeat) {
+            self.onHeartbeat();
+        }
+    };
+    this._sock.onerror = function (error) {
+        self.onError(error);
+    };
+    this._sock.onclose = function (closeEvent) {
+        self.onClose(closeEvent);
+    };
+    this._sock.onmessage = function (event) {
+        self.onMessage(event.data);
+    };
+};
+
+SockJSTransport.prototype.send = function (data) {
+    this._sock.send(data);
+};
+
+SockJSTransport.prototype.close = function () {
+    this._sock.close();
+};
+
+function WebSocketTransport(url, options) {
+    this.url = url;
+    this.name = 'raw-websocket';
+    this._options = options || {};
+    this._ws = null;
+    this.onOpen = null;
+    this.onMessage = null;
+    this.onClose = null;
+    this.onError = null;
+    this.onHeartbeat = null;
+}
+
+WebSocketTransport.prototype.open = function () {
+    var self = this;
+    // any W3C compatible Websocket constructor can be provided in options,
+    // for example one from `ws` package when running in NodeJS.
+    var WebSocketConstructor = this._options.websocket || WebSocket;
+    this._ws = new WebSocketConstructor(this.url);
+    if (this._options.binaryType) {
+        this._ws.binaryType = this._options.binaryType;
+    }
+
+    this._ws.onopen = function () {
+        self.onOpen();
+    };
+    this._ws.onerror = function (error) {
+        self.onError(error);
+    };
+    this._ws.onclose = function (closeEvent) {
+        self.onClose(closeEvent);
+    };
+    this._ws.onmessage = function (event) {
+        self.onMessage(event.data);
+    };
+};
+
+WebSocketTransport.prototype.send = function (data) {
+    this._ws.send(data);
+};
+
+WebSocketTransport.prototype.close = function () {
+    this._ws.close();
+};
+
+module.exports = {
+    SockJSTransport: SockJSTransport,
+    WebSocketTransport: WebSocketTransport
+};
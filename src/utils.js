@@ -0,0 +1,43 @@
+/**
+ * Oliver Caldwell
+ * http://oli.me.uk/2013/06/01/prototypical-inheritance-done-right/
+ */
+if (!Object.create) {
+    Object.create = (function () {
+        var F = function () {
+        };
+        return function (o) {
+            if (arguments.length !== 1) {
+                throw new Error('Object.create implementation only accepts one parameter.');
+            }
+            F.prototype = o;
+            return new F();
+        }
+    })()
+}
+
+function extend(destination, source) {
+    destination.prototype = Object.create(source.prototype);
+    destination.prototype.constructor = destination;
+    return source.prototype;
+}
+
+function isString(value) {
+    if (value === undefined || value === null) {
+        return false;
+    }
+    return typeof value === 'string' || value instanceof String;
+}
+
+function isFunction(value) {
+    if (value === undefined || value === null) {
+        return false;
+    }
+    return typeof value === 'function';
+}
+
+module.exports = {
+    extend: extend,
+    isString: isString,
+    isFunction: isFunction
+};
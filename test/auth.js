@@ -0,0 +1,123 @@
+// Tests for private channel authorization retries.
+var assert = require('assert');
+var Promise = require('es6-promise').Promise;
+var harness = require('./harness');
+var test = harness.test;
+var wait = harness.wait;
+
+// httpClient answers auth requests with statuses from list, last one is
+// repeated. Successful response contains sign for every requested channel.
+function setup(statuses, options) {
+    var requests = [];
+    var httpClient = {
+        request: function (request) {
+            var status = statuses[Math.min(requests.length, statuses.length - 1)];
+            requests.push(request);
+            var body = {};
+            JSON.parse(request.body).channels.forEach(function (channel) {
+                body[channel] = {sign: 'sign', info: ''};
+            });
+            return Promise.resolve({
+                status: status,
+                body: JSON.stringify(body)
+            });
+        }
+    };
+    var t = harness.setup({
+        maxRetry: 50,
+        httpClient: httpClient
+    }, options);
+    t.requests = requests;
+    return t;
+}
+
+function events(sub) {
+    var result = [];
+    sub.on('subscribe', function () {
+        result.push('subscribe');
+    });
+    sub.on('error', function (err) {
+        result.push(err);
+    });
+    return result;
+}
+
+test('auth retried after server error', function () {
+    var t = setup([503, 200]);
+    var sub = t.centrifuge.subscribe('$private');
+    var happened = events(sub);
+    t.centrifuge.connect();
+    return wait(100).then(function () {
+        return t.server.settle();
+    }).then(function () {
+        assert.strictEqual(t.requests.length, 2);
+        assert.deepEqual(happened, ['subscribe']);
+        t.server.assertSent('subscribe', {channel: '$private', sign: 'sign'});
+        t.centrifuge.disconnect();
+    });
+});
+
+test('auth not retried after forbidden', function () {
+    var t = setup([403, 200]);
+    var sub = t.centrifuge.subscribe('$private');
+    var happened = events(sub);
+    t.centrifuge.connect();
+    return wait(100).then(function () {
+        return t.server.settle();
+    }).then(function () {
+        assert.strictEqual(t.requests.length, 1);
+        assert.strictEqual(happened.length, 1);
+        assert.strictEqual(happened[0].code, 'auth_failed');
+        assert.strictEqual(happened[0].status, 403);
+        assert.strictEqual(happened[0].temporary, false);
+        t.server.assertNotSent('subscribe');
+        t.centrifuge.disconnect();
+    });
+});
+
+test('auth recovers after retries exhausted', function () {
+    // resubscribe delay after retries exhausted is between 100 and 200 ms.
+    var t = setup([503, 503, 503, 200], {
+        retry: 100,
+        maxRetry: 200,
+        authRetryStrategy: function (attempt) {
+            return attempt < 2 ? 10 : null;
+        }
+    });
+    var sub = t.centrifuge.subscribe('$private');
+    var happened = events(sub);
+    t.centrifuge.connect();
+    return wait(60).then(function () {
+        // first request and two retries failed.
+        assert.strictEqual(t.requests.length, 3);
+        assert.strictEqual(happened.length, 1);
+        assert.strictEqual(happened[0].code, 'auth_failed');
+        assert.strictEqual(happened[0].status, 503);
+        assert.strictEqual(happened[0].temporary, true);
+        t.server.assertNotSent('subscribe');
+        return wait(250);
+    }).then(function () {
+        return t.server.settle();
+    }).then(function () {
+        assert.strictEqual(t.requests.length, 4);
+        assert.strictEqual(happened[1], 'subscribe');
+        t.server.assertSent('subscribe', {channel: '$private', sign: 'sign'});
+        t.centrifuge.disconnect();
+    });
+});
+
+test('auth request of pending channel coalesced', function () {
+    var t = setup([200]);
+    return t.centrifuge.connect().then(function () {
+        var sub = t.centrifuge.subscribe('$private');
+        sub.unsubscribe();
+        sub.subscribe();
+        return wait(50);
+    }).then(function () {
+        return t.server.settle();
+    }).then(function () {
+        assert.strictEqual(t.requests.length, 1);
+        assert.ok(t.centrifuge._getSub('$private')._isSuccess());
+        t.centrifuge.disconnect();
+    });
+});
@@ -0,0 +1,111 @@
+// Tests for client connection behaviour against MockServer.
+var assert = require('assert');
+var harness = require('./harness');
+var test = harness.test;
+var wait = harness.wait;
+var setup = harness.setup;
+
+test('connect disconnect connect', function () {
+    var t = setup();
+    var disconnected = false;
+    t.centrifuge.connect();
+    t.centrifuge.disconnect().then(function () {
+        disconnected = true;
+    });
+    t.centrifuge.connect();
+    return t.server.settle().then(function () {
+        return t.server.settle();
+    }).then(function () {
+        // transport opened before second connect is closed.
+        assert.ok(disconnected);
+        assert.strictEqual(t.server.connections.length, 1);
+        assert.strictEqual(t.server.sent('connect').length, 1);
+        assert.ok(t.centrifuge.isConnected());
+        assert.strictEqual(t.centrifuge.getClientId(), t.server.connections[0].client);
+        return wait(100);
+    }).then(function () {
+        assert.ok(t.centrifuge.isConnected());
+        assert.strictEqual(t.centrifuge.getState(), 'connected');
+        t.centrifuge.disconnect();
+    });
+});
+
+test('connect error', function () {
+    var t = setup();
+    var connectErr = null;
+    t.server.handle('connect', function () {
+        return {
+            error: 'invalid token',
+            advice: 'fix'
+        };
+    });
+    t.centrifuge.connect().then(null, function (err) {
+        connectErr = err;
+    });
+    return t.server.settle().then(function () {
+        return t.server.settle();
+    }).then(function () {
+        assert.ok(connectErr !== null);
+        assert.strictEqual(connectErr.message, 'invalid token');
+        assert.strictEqual(t.centrifuge.getState(), 'closed');
+        assert.strictEqual(t.server.connections.length, 0);
+        return wait(100);
+    }).then(function () {
+        // no reconnect without retry advice.
+        assert.strictEqual(t.server.sent('connect').length, 1);
+        t.server.handle('connect', null);
+        return t.centrifuge.connect();
+    }).then(function () {
+        assert.ok(t.centrifuge.isConnected());
+        t.centrifuge.disconnect();
+    });
+});
+
+test('connect error with retry advice', function () {
+    var t = setup();
+    var connectErr = null;
+    t.server.handle('connect', function () {
+        t.server.handle('connect', null);
+        return {
+            error: 'internal server error',
+            advice: 'retry'
+        };
+    });
+    t.centrifuge.connect().then(null, function (err) {
+        connectErr = err;
+    });
+    return t.server.settle().then(function () {
+        return wait(100);
+    }).then(function () {
+        return t.server.settle();
+    }).then(function () {
+        assert.ok(connectErr !== null);
+        assert.strictEqual(t.server.sent('connect').length, 2);
+        assert.ok(t.centrifuge.isConnected());
+        t.centrifuge.disconnect();
+    });
+});
+
+test('disconnected time is not reported after reconnect gave up', function () {
+    var metrics = [];
+    var t = setup({
+        reconnectStrategy: function (attempt) {
+            return attempt < 1 ? 10 : null;
+        },
+        onMetric: function (metric) {
+            metrics.push(metric.name);
+        }
+    });
+    return t.centrifuge.connect().then(function () {
+        t.server.refuse = true;
+        t.server.drop();
+        return wait(100);
+    }).then(function () {
+        assert.strictEqual(t.centrifuge.getState(), 'closed');
+        t.server.refuse = false;
+        return t.centrifuge.connect();
+    }).then(function () {
+        assert.strictEqual(metrics.indexOf('disconnected_time'), -1);
+        t.centrifuge.disconnect();
+    });
+});
@@ -0,0 +1,162 @@
+// Tests for MessagePack codec.
+var assert = require('assert');
+var Centrifuge = require('../src/centrifuge');
+var MsgpackCodec = require('../src/codecs').MsgpackCodec;
+var MockServer = require('../src/testkit').MockServer;
+var harness = require('./harness');
+var test = harness.test;
+
+var codec = new MsgpackCodec();
+
+function roundTrip(value) {
+    return codec.decode(codec.encode(value));
+}
+
+function bytes(value) {
+    return Array.prototype.slice.call(codec.encode(value));
+}
+
+function repeat(value, count) {
+    return new Array(count + 1).join(value);
+}
+
+test('msgpack integers at width boundaries', function () {
+    var cases = [
+        [0, 0x00],
+        [127, 0x7f],
+        [128, 0xcc],
+        [255, 0xcc],
+        [256, 0xcd],
+        [65535, 0xcd],
+        [65536, 0xce],
+        [4294967295, 0xce],
+        [-1, 0xff],
+        [-32, 0xe0],
+        [-33, 0xd0],
+        [-128, 0xd0],
+        [-129, 0xd1],
+        [-32768, 0xd1],
+        [-32769, 0xd2],
+        [-2147483648, 0xd2],
+        // out of 32 bit range numbers are sent as float64.
+        [4294967296, 0xcb],
+        [-2147483649, 0xcb],
+        [1.5, 0xcb],
+        [-0.25, 0xcb]
+    ];
+    cases.forEach(function (c) {
+        assert.strictEqual(bytes(c[0])[0], c[1], 'type of ' + c[0]);
+        assert.strictEqual(roundTrip(c[0]), c[0]);
+    });
+    assert.deepEqual(bytes(-1), [0xff]);
+    assert.deepEqual(bytes(256), [0xcd, 0x01, 0x00]);
+});
+
+test('msgpack decodes 64 bit integers and float32', function () {
+    assert.strictEqual(codec.decode(new Uint8Array([0xcf, 0, 0, 0, 1, 0, 0, 0, 2])), 4294967298);
+    assert.strictEqual(codec.decode(new Uint8Array([0xd3, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xfe])), -2);
+    assert.strictEqual(codec.decode(new Uint8Array([0xca, 0x3f, 0xc0, 0, 0])), 1.5);
+});
+
+test('msgpack strings', function () {
+    var cases = [
+        ['', 0xa0],
+        [repeat('a', 31), 0xbf],
+        [repeat('a', 32), 0xd9],
+        [repeat('a', 255), 0xd9],
+        [repeat('a', 256), 0xda],
+        [repeat('a', 65536), 0xdb],
+        ['привет', 0xac],
+        ['€', 0xa3],
+        ['😀', 0xa4]
+    ];
+    cases.forEach(function (c) {
+        assert.strictEqual(bytes(c[0])[0], c[1], 'type of string with length ' + c[0].length);
+        assert.strictEqual(roundTrip(c[0]), c[0]);
+    });
+    // surrogate pair is encoded as one 4 byte character.
+    assert.deepEqual(bytes('😀'), [0xa4, 0xf0, 0x9f, 0x98, 0x80]);
+    assert.strictEqual(roundTrip('a😀b€ж'), 'a😀b€ж');
+});
+
+test('msgpack bin, arrays and maps', function () {
+    var bin = new Uint8Array([1, 2, 3]);
+    assert.strictEqual(bytes(bin)[0], 0xc4);
+    assert.deepEqual(Array.prototype.slice.call(roundTrip(bin)), [1, 2, 3]);
+    var bin16 = new Uint8Array(256);
+    bin16[255] = 7;
+    assert.strictEqual(bytes(bin16)[0], 0xc5);
+    assert.strictEqual(roundTrip(bin16.buffer)[255], 7);
+
+    var array = [];
+    var map = {};
+    for (var i = 0; i < 16; i++) {
+        array.push(i);
+        map['key' + i] = [i, null, true, false];
+    }
+    assert.strictEqual(bytes(array.slice(0, 15))[0], 0x9f);
+    assert.strictEqual(bytes(array)[0], 0xdc);
+    assert.deepEqual(roundTrip(array), array);
+    assert.strictEqual(bytes(map)[0], 0xde);
+    assert.deepEqual(roundTrip(map), map);
+    // undefined values are skipped just like in JSON.
+    assert.deepEqual(roundTrip({a: 1, b: undefined}), {a: 1});
+});
+
+test('msgpack replies concatenated in one frame', function () {
+    var first = codec.encode({uid: 1, body: {text: 'one'}});
+    var second = codec.encode({uid: 2, body: {text: 'two'}});
+    var frame = new Uint8Array(first.length + second.length);
+    frame.set(first, 0);
+    frame.set(second, first.length);
+    assert.deepEqual(codec.decode(frame.buffer), [
+        {uid: 1, body: {text: 'one'}},
+        {uid: 2, body: {text: 'two'}}
+    ]);
+    // array of replies in one value is decoded as is.
+    assert.deepEqual(roundTrip([{uid: 1}, {uid: 2}]), [{uid: 1}, {uid: 2}]);
+});
+
+test('msgpack errors', function () {
+    var truncated = function (value) {
+        var encoded = codec.encode(value);
+        return encoded.slice(0, encoded.length - 1);
+    };
+    [repeat('a', 10), repeat('a', 40), 300, 1.5, new Uint8Array(3), [1, 2], {a: 1}].forEach(function (value) {
+        assert.throws(function () {
+            codec.decode(truncated(value));
+        }, /msgpack: unexpected end of data/);
+    });
+    assert.throws(function () {
+        codec.decode(new Uint8Array(0));
+    }, /msgpack: unexpected end of data/);
+    assert.throws(function () {
+        codec.decode(new Uint8Array([0xc1]));
+    }, /msgpack: unsupported type 0xc1/);
+    assert.throws(function () {
+        codec.decode('{}');
+    }, /msgpack: binary frame expected/);
+    assert.throws(function () {
+        codec.encode({fn: Symbol('x')});
+    }, /msgpack: can not encode value of type symbol/);
+});
+
+test('msgpack client and server', function () {
+    var server = new MockServer({codec: new MsgpackCodec()});
+    var centrifuge = new Centrifuge(harness.clientConfig(server, {
+        codec: new MsgpackCodec()
+    }));
+    var messages = [];
+    centrifuge.subscribe('news', function (message) {
+        messages.push(message.data);
+    });
+    return centrifuge.connect().then(function () {
+        return server.settle();
+    }).then(function () {
+        server.publish('news', {text: 'привет 😀', count: 70000});
+        return server.settle();
+    }).then(function () {
+        assert.deepEqual(messages, [{text: 'привет 😀', count: 70000}]);
+        centrifuge.disconnect();
+    });
+});
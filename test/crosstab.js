@@ -0,0 +1,193 @@
+// Tests for cross-tab connection sharing. Tabs talk over in-memory
+// BroadcastChannel and leader tab connects to MockServer.
+var assert = require('assert');
+var Promise = require('es6-promise').Promise;
+var CrossTabCentrifuge = require('../src/crosstab');
+var MockServer = require('../src/testkit').MockServer;
+var harness = require('./harness');
+var test = harness.test;
+var wait = harness.wait;
+
+// bus returns BroadcastChannel constructor delivering messages between
+// channels created by it, messages are copied like structured clone does.
+function bus() {
+    var channels = [];
+
+    function FakeBroadcastChannel(name) {
+        this.name = name;
+        this.onmessage = null;
+        channels.push(this);
+    }
+
+    FakeBroadcastChannel.prototype.postMessage = function (data) {
+        var sender = this;
+        var message = JSON.parse(JSON.stringify(data));
+        var receivers = channels.filter(function (channel) {
+            return channel !== sender && channel.name === sender.name;
+        });
+        setTimeout(function () {
+            receivers.forEach(function (channel) {
+                if (channels.indexOf(channel) !== -1 && channel.onmessage !== null) {
+                    channel.onmessage({data: message});
+                }
+            });
+        }, 0);
+    };
+
+    FakeBroadcastChannel.prototype.close = function () {
+        var index = channels.indexOf(this);
+        if (index !== -1) {
+            channels.splice(index, 1);
+        }
+    };
+
+    return FakeBroadcastChannel;
+}
+
+function setup() {
+    return {
+        server: new MockServer(),
+        BroadcastChannel: bus()
+    };
+}
+
+// tab with smaller id is older one and wins elections.
+function tab(t, id) {
+    var centrifuge = new CrossTabCentrifuge(harness.clientConfig(t.server), {
+        heartbeatInterval: 20,
+        leaderTimeout: 100,
+        electionTimeout: 20,
+        BroadcastChannel: t.BroadcastChannel
+    });
+    centrifuge._id = id;
+    return centrifuge;
+}
+
+function once(emitter, event) {
+    return new Promise(function (resolve) {
+        emitter.once(event, resolve);
+    });
+}
+
+function connected(t) {
+    var leader = tab(t, 1);
+    var follower = tab(t, 2);
+    return Promise.all([leader.connect(), follower.connect()]).then(function () {
+        return {
+            leader: leader,
+            follower: follower
+        };
+    });
+}
+
+test('crosstab election', function () {
+    var t = setup();
+    return connected(t).then(function (tabs) {
+        assert.ok(tabs.leader.isLeader());
+        assert.ok(!tabs.follower.isLeader());
+        assert.ok(tabs.leader.isConnected());
+        assert.ok(tabs.follower.isConnected());
+        assert.strictEqual(t.server.connections.length, 1);
+        tabs.follower.disconnect();
+        tabs.leader.disconnect();
+    });
+});
+
+test('crosstab call proxying', function () {
+    var t = setup();
+    var tabs;
+    var sub;
+    var messages = [];
+    return connected(t).then(function (result) {
+        tabs = result;
+        sub = tabs.follower.subscribe('news', function (message) {
+            messages.push(message);
+        });
+        return once(sub, 'subscribe');
+    }).then(function () {
+        t.server.assertSent('subscribe', {channel: 'news'});
+        t.server.publish('news', {text: 'from server'});
+        return sub.publish({text: 'from follower'});
+    }).then(function () {
+        t.server.assertSent('publish', {channel: 'news', data: {text: 'from follower'}});
+        return sub.presence();
+    }).then(function (presence) {
+        assert.strictEqual(Object.keys(presence.data).length, 1);
+        return tabs.follower.history('news');
+    }).then(function (history) {
+        assert.strictEqual(history.data.length, 2);
+        assert.deepEqual(messages.map(function (message) {
+            return message.data.text;
+        }), ['from server', 'from follower']);
+        sub.unsubscribe();
+        return sub.publish({text: 'unsubscribed'}).then(function () {
+            throw new Error('publish expected to fail');
+        }, function (err) {
+            assert.strictEqual(err.code, 'unsubscribed');
+        });
+    }).then(function () {
+        return wait(50);
+    }).then(function () {
+        t.server.assertSent('unsubscribe', {channel: 'news'});
+        var subscribed = null;
+        sub.ready(function (ctx) {
+            subscribed = ctx;
+        });
+        assert.strictEqual(subscribed, null);
+        sub.subscribe();
+        return once(sub, 'subscribe');
+    }).then(function () {
+        assert.strictEqual(t.server.sent('subscribe', {channel: 'news'}).length, 2);
+        var subscribed = null;
+        sub.ready(function (ctx) {
+            subscribed = ctx;
+        });
+        assert.strictEqual(subscribed.channel, 'news');
+        tabs.follower.disconnect();
+        tabs.leader.disconnect();
+    });
+});
+
+test('crosstab failover', function () {
+    var t = setup();
+    var tabs;
+    var sub;
+    return connected(t).then(function (result) {
+        tabs = result;
+        sub = tabs.follower.subscribe('news');
+        return once(sub, 'subscribe');
+    }).then(function () {
+        var reconnected = once(tabs.follower, 'connect');
+        var resubscribed = once(sub, 'subscribe');
+        tabs.leader.disconnect();
+        return Promise.all([reconnected, resubscribed]);
+    }).then(function () {
+        assert.ok(tabs.follower.isLeader());
+        assert.strictEqual(t.server.connections.length, 1);
+        assert.strictEqual(t.server.sent('subscribe', {channel: 'news'}).length, 2);
+        t.server.publish('news', {text: 'after failover'});
+        return once(sub, 'message');
+    }).then(function (message) {
+        assert.strictEqual(message.data.text, 'after failover');
+        tabs.follower.disconnect();
+    });
+});
+
+test('crosstab follower expiry', function () {
+    var t = setup();
+    var tabs;
+    return connected(t).then(function (result) {
+        tabs = result;
+        var sub = tabs.follower.subscribe('news');
+        return once(sub, 'subscribe');
+    }).then(function () {
+        // follower tab dies without saying bye.
+        clearInterval(tabs.follower._watchTimer);
+        tabs.follower._channel.close();
+        t.server.assertNotSent('unsubscribe');
+        return wait(250);
+    }).then(function () {
+        t.server.assertSent('unsubscribe', {channel: 'news'});
+        tabs.leader.disconnect();
+    });
+});
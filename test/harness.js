@@ -0,0 +1,76 @@
+// Minimal promise based test runner and helpers shared by test files, see
+// index.js.
+var Promise = require('es6-promise').Promise;
+var Centrifuge = require('../src/centrifuge');
+var MockServer = require('../src/testkit').MockServer;
+
+var tests = [];
+
+function test(name, fn) {
+    tests.push({name: name, fn: fn});
+}
+
+function wait(ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+// client configuration to connect to MockServer with fast retries and
+// without pings, options objects override defaults and each other.
+function clientConfig(server) {
+    var config = {
+        url: 'http://localhost:8000/connection',
+        insecure: true,
+        retry: 10,
+        ping: false,
+        logLevel: 'none',
+        transport: server.transport()
+    };
+    for (var i = 1; i < arguments.length; i++) {
+        var options = arguments[i];
+        for (var key in options) {
+            if (options.hasOwnProperty(key)) {
+                config[key] = options[key];
+            }
+        }
+    }
+    return config;
+}
+
+// MockServer and client configured to connect to it, accepts options
+// objects just like clientConfig.
+function setup() {
+    var server = new MockServer();
+    var args = [server].concat(Array.prototype.slice.call(arguments));
+    return {
+        server: server,
+        centrifuge: new Centrifuge(clientConfig.apply(null, args))
+    };
+}
+
+function run(index, failed) {
+    index = index || 0;
+    failed = failed || 0;
+    if (index === tests.length) {
+        console.log(tests.length - failed + ' passed, ' + failed + ' failed');
+        process.exit(failed > 0 ? 1 : 0);
+    }
+    var current = tests[index];
+    Promise.resolve().then(current.fn).then(function () {
+        console.log('ok - ' + current.name);
+        run(index + 1, failed);
+    }, function (err) {
+        console.log('not ok - ' + current.name);
+        console.log(err && err.stack ? err.stack : err);
+        run(index + 1, failed + 1);
+    });
+}
+
+module.exports = {
+    test: test,
+    wait: wait,
+    clientConfig: clientConfig,
+    setup: setup,
+    run: run
+};
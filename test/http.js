@@ -0,0 +1,301 @@
+// Tests for HTTP clients and application requests made through them.
+var assert = require('assert');
+var Promise = require('es6-promise').Promise;
+var Centrifuge = require('../src/centrifuge');
+var http = require('../src/http');
+var harness = require('./harness');
+var test = harness.test;
+var wait = harness.wait;
+var setup = harness.setup;
+
+function request(fields) {
+    var result = {
+        url: 'http://localhost/auth',
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: '{}',
+        credentials: 'include',
+        timeout: 0,
+        signal: null
+    };
+    for (var key in fields) {
+        if (fields.hasOwnProperty(key)) {
+            result[key] = fields[key];
+        }
+    }
+    return result;
+}
+
+// errorCode resolves with code of rejection error.
+function errorCode(promise) {
+    return promise.then(function () {
+        throw new Error('request expected to fail');
+    }, function (err) {
+        return err.code;
+    });
+}
+
+// fetch stub which never answers, remembers calls.
+function hangingFetch(calls) {
+    return function (url, init) {
+        calls.push({url: url, init: init});
+        return new Promise(function () {});
+    };
+}
+
+// fake XMLHttpRequest, instances are collected in FakeXHR.instances.
+function FakeXHR() {
+    this.headers = {};
+    this.aborted = false;
+    this.readyState = 0;
+    this.status = 0;
+    this.responseText = '';
+    this.withCredentials = false;
+    FakeXHR.instances.push(this);
+}
+
+FakeXHR.prototype.open = function (method, url) {
+    this.method = method;
+    this.url = url;
+};
+
+FakeXHR.prototype.setRequestHeader = function (name, value) {
+    this.headers[name] = value;
+};
+
+FakeXHR.prototype.send = function (body) {
+    this.body = body;
+};
+
+FakeXHR.prototype.abort = function () {
+    this.aborted = true;
+};
+
+FakeXHR.prototype.respond = function (status, text) {
+    this.readyState = 4;
+    this.status = status;
+    this.responseText = text;
+    this.onreadystatechange();
+};
+
+function withXHR(fn) {
+    FakeXHR.instances = [];
+    global.XMLHttpRequest = FakeXHR;
+    var cleanup = function () {
+        delete global.XMLHttpRequest;
+    };
+    return Promise.resolve().then(fn).then(cleanup, function (err) {
+        cleanup();
+        throw err;
+    });
+}
+
+test('fetch client sends request and resolves any status', function () {
+    var calls = [];
+    var client = new http.FetchHTTPClient({
+        fetch: function (url, init) {
+            calls.push({url: url, init: init});
+            return Promise.resolve({
+                status: 503,
+                text: function () {
+                    return Promise.resolve('unavailable');
+                }
+            });
+        }
+    });
+    return client.request(request({headers: {'X-Test': '1'}})).then(function (response) {
+        assert.deepEqual(response, {status: 503, body: 'unavailable'});
+        assert.strictEqual(calls[0].url, 'http://localhost/auth');
+        assert.strictEqual(calls[0].init.method, 'POST');
+        assert.strictEqual(calls[0].init.body, '{}');
+        assert.strictEqual(calls[0].init.credentials, 'include');
+        assert.strictEqual(calls[0].init.headers['X-Test'], '1');
+    });
+});
+
+test('fetch client network error', function () {
+    var client = new http.FetchHTTPClient({
+        fetch: function () {
+            return Promise.reject(new TypeError('failed to fetch'));
+        }
+    });
+    return client.request(request()).then(function () {
+        throw new Error('request expected to fail');
+    }, function (err) {
+        assert.strictEqual(err.code, 'network');
+        assert.strictEqual(err.temporary, true);
+        assert.ok(err.message.indexOf('failed to fetch') > -1);
+    });
+});
+
+test('fetch client timeout aborts request', function () {
+    var calls = [];
+    var client = new http.FetchHTTPClient({fetch: hangingFetch(calls)});
+    return errorCode(client.request(request({timeout: 20}))).then(function (code) {
+        assert.strictEqual(code, 'timeout');
+        assert.strictEqual(calls[0].init.signal.aborted, true);
+    });
+});
+
+test('fetch client abort', function () {
+    var calls = [];
+    var client = new http.FetchHTTPClient({fetch: hangingFetch(calls)});
+    var controller = http.createAbortController();
+    var result = errorCode(client.request(request({signal: controller.signal})));
+    controller.abort();
+    return result.then(function (code) {
+        assert.strictEqual(code, 'cancelled');
+        assert.strictEqual(calls[0].init.signal.aborted, true);
+        // already aborted signal does not send request at all.
+        return errorCode(client.request(request({signal: controller.signal})));
+    }).then(function (code) {
+        assert.strictEqual(code, 'cancelled');
+        assert.strictEqual(calls.length, 1);
+    });
+});
+
+test('xhr client', function () {
+    return withXHR(function () {
+        var client = new http.XHRHTTPClient();
+        var result = client.request(request({headers: {'X-Test': '1'}}));
+        var xhr = FakeXHR.instances[0];
+        assert.strictEqual(xhr.method, 'POST');
+        assert.strictEqual(xhr.url, 'http://localhost/auth');
+        assert.strictEqual(xhr.headers['X-Test'], '1');
+        assert.strictEqual(xhr.withCredentials, true);
+        assert.strictEqual(xhr.body, '{}');
+        xhr.respond(403, 'forbidden');
+        return result.then(function (response) {
+            assert.deepEqual(response, {status: 403, body: 'forbidden'});
+            var failed = errorCode(client.request(request()));
+            FakeXHR.instances[1].respond(0, '');
+            return failed;
+        }).then(function (code) {
+            assert.strictEqual(code, 'network');
+        });
+    });
+});
+
+test('xhr client timeout and abort', function () {
+    return withXHR(function () {
+        var client = new http.XHRHTTPClient();
+        var controller = http.createAbortController();
+        var timedOut = errorCode(client.request(request({timeout: 20})));
+        var aborted = errorCode(client.request(request({signal: controller.signal})));
+        controller.abort();
+        return Promise.all([timedOut, aborted]).then(function (codes) {
+            assert.deepEqual(codes, ['timeout', 'cancelled']);
+            assert.ok(FakeXHR.instances[0].aborted);
+            assert.ok(FakeXHR.instances[1].aborted);
+        });
+    });
+});
+
+test('status errors', function () {
+    [[500, true], [503, true], [408, true], [429, true], [400, false], [403, false], [404, false]].forEach(function (c) {
+        var err = http.statusError(c[0]);
+        assert.strictEqual(err.code, 'http');
+        assert.strictEqual(err.status, c[0]);
+        assert.strictEqual(err.temporary, c[1], 'status ' + c[0]);
+        assert.strictEqual(err.advice, c[1] ? 'retry' : 'fix');
+    });
+});
+
+test('fetch client used by default', function () {
+    var t = setup();
+    assert.ok(t.centrifuge._httpClient() instanceof Centrifuge.FetchHTTPClient);
+    var fetch = global.fetch;
+    global.fetch = undefined;
+    try {
+        assert.ok(t.centrifuge._httpClient() instanceof Centrifuge.XHRHTTPClient);
+    } finally {
+        global.fetch = fetch;
+    }
+});
+
+// send application request through client with stubbed HTTP client,
+// promise resolves with callback arguments.
+function send(options, respond) {
+    var requests = [];
+    var t = setup({
+        httpClient: {
+            request: function (request) {
+                requests.push(request);
+                return Promise.resolve(respond(request));
+            }
+        }
+    }, options);
+    return new Promise(function (resolve) {
+        t.centrifuge._httpRequest('auth', '/auth', {param: 'p'}, {'X-Header': 'h'}, {client: 'c'}, function (error, data) {
+            resolve({error: error, data: data, requests: requests});
+        });
+    });
+}
+
+test('request and response interceptors', function () {
+    return send({
+        requestInterceptors: [
+            function (request) {
+                request.headers.Authorization = 'Bearer token';
+            },
+            function (request) {
+                // interceptor can return new request or promise of it.
+                return wait(1).then(function () {
+                    request.url += '&extra=1';
+                    return request;
+                });
+            }
+        ],
+        responseInterceptors: [
+            function (response, request) {
+                assert.ok(request.url.indexOf('extra=1') > -1);
+                return {status: response.status, body: '{"intercepted": true}'};
+            }
+        ]
+    }, function () {
+        return {status: 200, body: '{}'};
+    }).then(function (result) {
+        assert.strictEqual(result.error, false);
+        assert.deepEqual(result.data, {intercepted: true});
+        var request = result.requests[0];
+        assert.strictEqual(request.url, '/auth?param=p&extra=1');
+        assert.strictEqual(request.method, 'POST');
+        assert.strictEqual(request.body, '{"client":"c"}');
+        assert.strictEqual(request.headers['X-Header'], 'h');
+        assert.strictEqual(request.headers.Authorization, 'Bearer token');
+    });
+});
+
+test('request errors passed to callback', function () {
+    return send({}, function () {
+        return {status: 403, body: 'forbidden'};
+    }).then(function (result) {
+        assert.strictEqual(result.error, true);
+        assert.strictEqual(result.data.code, 'http');
+        assert.strictEqual(result.data.status, 403);
+        return send({}, function () {
+            return {status: 200, body: 'not json'};
+        });
+    }).then(function (result) {
+        assert.strictEqual(result.data.code, 'invalid_response');
+        return send({
+            requestInterceptors: [function () {
+                throw new Error('interceptor failed');
+            }]
+        }, function () {
+            return {status: 200, body: '{}'};
+        });
+    }).then(function (result) {
+        assert.strictEqual(result.data.code, 'network');
+        assert.strictEqual(result.requests.length, 0);
+    });
+});
+
+test('GET request sends data in query string', function () {
+    return send({httpMethod: 'GET'}, function () {
+        return {status: 200, body: '{}'};
+    }).then(function (result) {
+        assert.strictEqual(result.requests[0].url, '/auth?param=p&client=c');
+        assert.strictEqual(result.requests[0].body, null);
+    });
+});
@@ -0,0 +1,15 @@
+// Run all tests with `npm test`.
+require('./testkit');
+require('./client');
+require('./crosstab');
+require('./network');
+require('./logger');
+require('./codecs');
+require('./queue');
+require('./positions');
+require('./http');
+require('./jsonp');
+require('./recovery');
+require('./auth');
+
+require('./harness').run();
@@ -0,0 +1,128 @@
+// Tests for JSONP requests: script and callback cleanup.
+var assert = require('assert');
+var Promise = require('es6-promise').Promise;
+var Centrifuge = require('../src/centrifuge');
+var harness = require('./harness');
+var test = harness.test;
+var wait = harness.wait;
+
+// fake document which collects scripts inserted into head.
+function fakeDocument() {
+    var head = {
+        scripts: [],
+        firstChild: null,
+        insertBefore: function (script) {
+            script.parentNode = head;
+            head.scripts.push(script);
+        },
+        removeChild: function (script) {
+            script.parentNode = null;
+            head.scripts.splice(head.scripts.indexOf(script), 1);
+        }
+    };
+    return {
+        head: head,
+        createElement: function (tag) {
+            assert.strictEqual(tag, 'script');
+            return {parentNode: null, src: '', onerror: null};
+        },
+        getElementsByTagName: function (tag) {
+            return tag === 'head' ? [head] : [];
+        }
+    };
+}
+
+// setup sends JSONP request, result resolves with callback arguments.
+function setup(options) {
+    var document = fakeDocument();
+    global.document = document;
+    var t = harness.setup(options);
+    t.document = document;
+    t.result = new Promise(function (resolve) {
+        t.centrifuge._jsonp('auth', '/auth?a=1', {param: 'p'}, {}, {client: 'c'}, function (error, data) {
+            resolve({error: error, data: data});
+        });
+    });
+    t.script = document.head.scripts[0];
+    t.callbackName = Object.keys(Centrifuge._jsonpCallbacks).pop();
+    return t;
+}
+
+function withDocument(fn) {
+    return Promise.resolve().then(fn).then(function () {
+        delete global.document;
+    }, function (err) {
+        delete global.document;
+        throw err;
+    });
+}
+
+test('jsonp request success', function () {
+    return withDocument(function () {
+        var t = setup();
+        var src = t.script.src;
+        assert.strictEqual(src.indexOf('/auth?a=1&callback='), 0);
+        assert.ok(src.indexOf(encodeURIComponent('Centrifuge._jsonpCallbacks[\'' + t.callbackName + '\']')) > -1);
+        assert.ok(src.indexOf('&data=' + encodeURIComponent('{"client":"c"}')) > -1);
+        assert.ok(src.indexOf('&param=p') > -1);
+        Centrifuge._jsonpCallbacks[t.callbackName]({token: 'x'});
+        return t.result.then(function (result) {
+            assert.deepEqual(result, {error: false, data: {token: 'x'}});
+            assert.strictEqual(t.document.head.scripts.length, 0);
+            assert.ok(!(t.callbackName in Centrifuge._jsonpCallbacks));
+            assert.strictEqual(t.centrifuge._httpRequests.length, 0);
+        });
+    });
+});
+
+test('jsonp script load error', function () {
+    return withDocument(function () {
+        var t = setup();
+        t.script.onerror();
+        return t.result.then(function (result) {
+            assert.strictEqual(result.error, true);
+            assert.strictEqual(result.data.code, 'network');
+            assert.strictEqual(t.document.head.scripts.length, 0);
+            assert.strictEqual(t.script.onerror, null);
+            assert.ok(!(t.callbackName in Centrifuge._jsonpCallbacks));
+            assert.strictEqual(t.centrifuge._httpRequests.length, 0);
+        });
+    });
+});
+
+test('jsonp timeout keeps callback stub until script executed', function () {
+    return withDocument(function () {
+        var t = setup({httpTimeout: 20});
+        return t.result.then(function (result) {
+            assert.strictEqual(result.data.code, 'timeout');
+            assert.strictEqual(t.document.head.scripts.length, 0);
+            assert.strictEqual(t.centrifuge._httpRequests.length, 0);
+            // late script execution must not fail and must not call callback again.
+            Centrifuge._jsonpCallbacks[t.callbackName]({token: 'late'});
+            assert.ok(!(t.callbackName in Centrifuge._jsonpCallbacks));
+        });
+    });
+});
+
+test('jsonp request aborted on disconnect', function () {
+    return withDocument(function () {
+        var t = setup();
+        var called = false;
+        t.result.then(function () {
+            called = true;
+        });
+        t.centrifuge.connect();
+        return t.server.settle().then(function () {
+            assert.strictEqual(t.document.head.scripts.length, 1);
+            return t.centrifuge.disconnect();
+        }).then(function () {
+            assert.strictEqual(t.document.head.scripts.length, 0);
+            assert.strictEqual(t.centrifuge._httpRequests.length, 0);
+            Centrifuge._jsonpCallbacks[t.callbackName]({token: 'late'});
+            assert.ok(!(t.callbackName in Centrifuge._jsonpCallbacks));
+            return wait(10);
+        }).then(function () {
+            assert.strictEqual(called, false);
+        });
+    });
+});
@@ -0,0 +1,43 @@
+// Tests for logger field redaction.
+var assert = require('assert');
+var Logger = require('../src/logger').Logger;
+var CentrifugeError = require('../src/errors');
+var test = require('./harness').test;
+
+function capture() {
+    var entries = [];
+    var logger = new Logger({
+        level: 'debug',
+        redact: ['token'],
+        logger: {
+            debug: function (message, fields) {
+                entries.push(fields);
+            }
+        }
+    });
+    return {logger: logger, entries: entries};
+}
+
+test('logger redacts plain objects and arrays', function () {
+    var c = capture();
+    c.logger.log('debug', null, 'message', {
+        params: {token: 'secret', user: '42'},
+        list: [{token: 'secret'}]
+    });
+    assert.deepEqual(c.entries[0].params, {token: '[redacted]', user: '42'});
+    assert.deepEqual(c.entries[0].list, [{token: '[redacted]'}]);
+});
+
+test('logger passes errors as is', function () {
+    var c = capture();
+    var error = new Error('boom');
+    var centrifugeError = new CentrifugeError('timeout', 'timeout');
+    c.logger.log('debug', null, 'message', {
+        error: error,
+        nested: {error: centrifugeError}
+    });
+    assert.strictEqual(c.entries[0].error, error);
+    assert.strictEqual(c.entries[0].error.message, 'boom');
+    assert.ok(c.entries[0].error.stack);
+    assert.strictEqual(c.entries[0].nested.error, centrifugeError);
+});
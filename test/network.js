@@ -0,0 +1,85 @@
+// Tests for network awareness with fake document visibility.
+var assert = require('assert');
+var harness = require('./harness');
+var test = harness.test;
+var wait = harness.wait;
+
+function fakeDocument() {
+    var listeners = [];
+    return {
+        visibilityState: 'visible',
+        addEventListener: function (event, listener) {
+            listeners.push(listener);
+        },
+        removeEventListener: function (event, listener) {
+            listeners.splice(listeners.indexOf(listener), 1);
+        },
+        setVisibility: function (state) {
+            this.visibilityState = state;
+            listeners.slice(0).forEach(function (listener) {
+                listener();
+            });
+        }
+    };
+}
+
+function setup(hiddenTimeout) {
+    var document = fakeDocument();
+    global.document = document;
+    var t = harness.setup({
+        hiddenTimeout: hiddenTimeout
+    });
+    t.document = document;
+    return t;
+}
+
+function teardown(t) {
+    t.centrifuge.disconnect();
+    delete global.document;
+}
+
+test('hidden tab reconnects during hidden timeout', function () {
+    var t = setup(600000);
+    return t.centrifuge.connect().then(function () {
+        t.document.setVisibility('hidden');
+        t.server.drop();
+        return wait(100);
+    }).then(function () {
+        return t.server.settle();
+    }).then(function () {
+        assert.strictEqual(t.server.sent('connect').length, 2);
+        assert.ok(t.centrifuge.isConnected());
+        teardown(t);
+    }, function (err) {
+        teardown(t);
+        throw err;
+    });
+});
+
+test('hidden tab stops reconnecting after hidden timeout', function () {
+    var t = setup(50);
+    var disconnects = [];
+    t.centrifuge.on('disconnect', function (ctx) {
+        disconnects.push(ctx);
+    });
+    return t.centrifuge.connect().then(function () {
+        t.document.setVisibility('hidden');
+        return wait(150);
+    }).then(function () {
+        assert.strictEqual(disconnects.length, 1);
+        assert.strictEqual(disconnects[0].reason, 'hidden');
+        assert.strictEqual(t.server.sent('connect').length, 1);
+        assert.strictEqual(t.centrifuge.getState(), 'reconnecting');
+        t.document.setVisibility('visible');
+        return t.server.settle();
+    }).then(function () {
+        return t.server.settle();
+    }).then(function () {
+        assert.strictEqual(t.server.sent('connect').length, 2);
+        assert.ok(t.centrifuge.isConnected());
+        teardown(t);
+    }, function (err) {
+        teardown(t);
+        throw err;
+    });
+});
@@ -0,0 +1,62 @@
+// Tests for position store usage.
+var assert = require('assert');
+var Promise = require('es6-promise').Promise;
+var harness = require('./harness');
+var test = harness.test;
+var setup = harness.setup;
+
+function failingStore(set) {
+    return {
+        get: function () {
+            return null;
+        },
+        set: set
+    };
+}
+
+function delivered(store) {
+    var warnings = [];
+    var t = setup({
+        positionStore: store,
+        logLevel: 'warn',
+        logger: {
+            warn: function (message, fields) {
+                warnings.push(fields.error.message);
+            }
+        }
+    });
+    var messages = [];
+    t.centrifuge.subscribe('news', function (message) {
+        messages.push(message.data.text);
+    });
+    return t.centrifuge.connect().then(function () {
+        return t.server.settle();
+    }).then(function () {
+        t.server.publish('news', {text: 'a'});
+        t.server.publish('news', {text: 'b'});
+        return t.server.settle();
+    }).then(function () {
+        t.centrifuge.disconnect();
+        return {messages: messages, warnings: warnings};
+    });
+}
+
+test('messages delivered when position store set throws', function () {
+    return delivered(failingStore(function () {
+        throw new Error('quota');
+    })).then(function (result) {
+        assert.deepEqual(result.messages, ['a', 'b']);
+        // position of subscribe reply and of every message.
+        assert.deepEqual(result.warnings, ['quota', 'quota', 'quota']);
+    });
+});
+
+test('messages delivered when position store set rejects', function () {
+    return delivered(failingStore(function () {
+        return Promise.reject(new Error('quota'));
+    })).then(function (result) {
+        assert.deepEqual(result.messages, ['a', 'b']);
+        // position of subscribe reply and of every message.
+        assert.deepEqual(result.warnings, ['quota', 'quota', 'quota']);
+    });
+});
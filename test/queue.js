@@ -0,0 +1,115 @@
+// Tests for offline publish queue.
+var assert = require('assert');
+var Promise = require('es6-promise').Promise;
+var harness = require('./harness');
+var test = harness.test;
+var wait = harness.wait;
+var setup = harness.setup;
+
+// result resolves with 'ok' or rejection error code of publish promise.
+function result(promise) {
+    return promise.then(function () {
+        return 'ok';
+    }, function (err) {
+        return err.code;
+    });
+}
+
+function published(server) {
+    return server.sent('publish').map(function (command) {
+        return command.params.data.text;
+    });
+}
+
+test('queued publishes replayed in order after resubscribe', function () {
+    var t = setup({publishQueue: true});
+    var sub = t.centrifuge.subscribe('news');
+    var results;
+    return t.centrifuge.connect().then(function () {
+        return t.server.settle();
+    }).then(function () {
+        t.server.drop();
+        return t.server.settle();
+    }).then(function () {
+        assert.ok(!t.centrifuge.isConnected());
+        results = Promise.all([
+            result(sub.publish({text: 'a'})),
+            result(sub.publish({text: 'b'}))
+        ]);
+        t.server.assertNotSent('publish');
+        return wait(100);
+    }).then(function () {
+        return t.server.settle();
+    }).then(function () {
+        return results;
+    }).then(function (results) {
+        assert.deepEqual(results, ['ok', 'ok']);
+        assert.deepEqual(published(t.server), ['a', 'b']);
+        t.centrifuge.disconnect();
+    });
+});
+
+test('oldest queued publish dropped on overflow', function () {
+    var t = setup({publishQueue: true, publishQueueSize: 2});
+    var sub = t.centrifuge.subscribe('news');
+    var drops = [];
+    t.centrifuge.on('drop', function (ctx) {
+        drops.push(ctx);
+    });
+    var results = Promise.all([
+        result(sub.publish({text: 'a'})),
+        result(sub.publish({text: 'b'})),
+        result(sub.publish({text: 'c'}))
+    ]);
+    assert.strictEqual(drops.length, 1);
+    assert.strictEqual(drops[0].reason, 'overflow');
+    assert.deepEqual(drops[0].data, {text: 'a'});
+    t.centrifuge.connect();
+    return results.then(function (results) {
+        assert.deepEqual(results, ['publish_dropped', 'ok', 'ok']);
+        assert.deepEqual(published(t.server), ['b', 'c']);
+        t.centrifuge.disconnect();
+    });
+});
+
+test('queued publish expires', function () {
+    var t = setup({publishQueue: true, publishQueueMaxAge: 30});
+    var sub = t.centrifuge.subscribe('news');
+    var drops = [];
+    t.centrifuge.on('drop', function (ctx) {
+        drops.push(ctx);
+    });
+    return result(sub.publish({text: 'a'})).then(function (code) {
+        assert.strictEqual(code, 'publish_dropped');
+        assert.strictEqual(drops[0].reason, 'expired');
+    });
+});
+
+test('queued publishes dropped on disconnect and unsubscribe', function () {
+    var t = setup({publishQueue: true});
+    var news = t.centrifuge.subscribe('news');
+    var chat = t.centrifuge.subscribe('chat');
+    var drops = [];
+    t.centrifuge.on('drop', function (ctx) {
+        drops.push(ctx.channel + ' ' + ctx.reason);
+    });
+    var results;
+    return t.centrifuge.connect().then(function () {
+        return t.server.settle();
+    }).then(function () {
+        t.server.drop();
+        return t.server.settle();
+    }).then(function () {
+        results = Promise.all([
+            result(chat.publish({text: 'a'})),
+            result(news.publish({text: 'b'}))
+        ]);
+        chat.unsubscribe();
+        t.centrifuge.disconnect();
+        return results;
+    }).then(function (results) {
+        assert.deepEqual(results, ['publish_dropped', 'publish_dropped']);
+        assert.deepEqual(drops, ['chat unsubscribed', 'news disconnected']);
+        t.server.assertNotSent('publish');
+    });
+});
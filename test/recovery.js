@@ -0,0 +1,170 @@
+// Tests for history backfill and message de-duplication of subscriptions.
+var assert = require('assert');
+var harness = require('./harness');
+var test = harness.test;
+var wait = harness.wait;
+var setup = harness.setup;
+
+function texts(messages) {
+    return messages.map(function (message) {
+        return message.data.text;
+    });
+}
+
+test('backfill missed messages in order on unrecovered resubscribe', function () {
+    var t = setup();
+    var messages = [];
+    var gaps = [];
+    t.centrifuge.subscribe('news', {
+        message: function (message) {
+            messages.push(message);
+        },
+        gap: function (ctx) {
+            gaps.push(ctx);
+        }
+    }, {backfill: true});
+    return t.centrifuge.connect().then(function () {
+        return t.server.settle();
+    }).then(function () {
+        t.server.publish('news', {text: 'm1'});
+        return t.server.settle();
+    }).then(function () {
+        t.server.drop();
+        return t.server.settle();
+    }).then(function () {
+        // published while client was disconnected.
+        t.server.publish('news', {text: 'm2'});
+        t.server.publish('news', {text: 'm3'});
+        t.server.handle('subscribe', function (params, connection) {
+            connection.channels[params.channel] = true;
+            return {
+                body: {
+                    channel: params.channel,
+                    status: true,
+                    recovered: false,
+                    messages: []
+                }
+            };
+        });
+        t.server.handle('history', function (params) {
+            var reply = this._historyCommand(params);
+            // live message arrives before history reply.
+            this.publish('news', {text: 'm4'});
+            return reply;
+        });
+        return wait(100);
+    }).then(function () {
+        return t.server.settle();
+    }).then(function () {
+        t.server.assertSent('subscribe', {channel: 'news', recover: true});
+        t.server.assertSent('history', {channel: 'news'});
+        assert.deepEqual(texts(messages), ['m1', 'm2', 'm3', 'm4']);
+        assert.strictEqual(messages[1].recovered, true);
+        assert.strictEqual(messages[2].recovered, true);
+        assert.ok(!messages[3].recovered);
+        assert.strictEqual(gaps.length, 0);
+        t.centrifuge.disconnect();
+    });
+});
+
+test('backfill reports gap when last message is not in history', function () {
+    var t = setup();
+    var messages = [];
+    var gaps = [];
+    t.server.historySize = 2;
+    t.centrifuge.subscribe('news', {
+        message: function (message) {
+            messages.push(message);
+        },
+        gap: function (ctx) {
+            gaps.push(ctx);
+        }
+    }, {backfill: true});
+    var last;
+    return t.centrifuge.connect().then(function () {
+        return t.server.settle();
+    }).then(function () {
+        last = t.server.publish('news', {text: 'm1'});
+        return t.server.settle();
+    }).then(function () {
+        t.server.drop();
+        return t.server.settle();
+    }).then(function () {
+        t.server.publish('news', {text: 'm2'});
+        t.server.publish('news', {text: 'm3'});
+        t.server.publish('news', {text: 'm4'});
+        return wait(100);
+    }).then(function () {
+        return t.server.settle();
+    }).then(function () {
+        assert.strictEqual(gaps.length, 1);
+        assert.strictEqual(gaps[0].last, last.uid);
+        assert.deepEqual(texts(messages), ['m1', 'm3', 'm4']);
+        t.centrifuge.disconnect();
+    });
+});
+
+test('duplicate messages skipped within dedup window', function () {
+    var t = setup({dedupWindow: 2});
+    var messages = [];
+    t.centrifuge.subscribe('news', function (message) {
+        messages.push(message);
+    });
+    var push = function (uid) {
+        t.server.connections[0].send([{
+            method: 'message',
+            body: {
+                uid: uid,
+                channel: 'news',
+                data: {text: uid}
+            }
+        }]);
+    };
+    return t.centrifuge.connect().then(function () {
+        return t.server.settle();
+    }).then(function () {
+        push('a');
+        push('a');
+        push('b');
+        push('c');
+        // a is out of window of last 2 uids now.
+        push('a');
+        return t.server.settle();
+    }).then(function () {
+        assert.deepEqual(texts(messages), ['a', 'b', 'c', 'a']);
+        t.centrifuge.disconnect();
+    });
+});
+
+test('recovered messages already delivered are skipped', function () {
+    var t = setup();
+    var messages = [];
+    t.centrifuge.subscribe('news', function (message) {
+        messages.push(message);
+    });
+    var delivered;
+    return t.centrifuge.connect().then(function () {
+        return t.server.settle();
+    }).then(function () {
+        delivered = t.server.publish('news', {text: 'm1'});
+        t.server.publish('news', {text: 'm2'});
+        return t.server.settle();
+    }).then(function () {
+        t.server.drop();
+        return t.server.settle();
+    }).then(function () {
+        t.server.publish('news', {text: 'm3'});
+        // server recovers from older position than client has seen.
+        t.server.handle('subscribe', function (params, connection) {
+            this.handle('subscribe', null);
+            params.last = delivered.uid;
+            return this._subscribeCommand(params, connection);
+        });
+        return wait(100);
+    }).then(function () {
+        return t.server.settle();
+    }).then(function () {
+        assert.deepEqual(texts(messages), ['m1', 'm2', 'm3']);
+        t.centrifuge.disconnect();
+    });
+});
@@ -0,0 +1,133 @@
+// Tests for MockServer test kit. Run with `npm test`.
+var assert = require('assert');
+var harness = require('./harness');
+var test = harness.test;
+var wait = harness.wait;
+var setup = harness.setup;
+
+test('connect', function () {
+    var t = setup();
+    var connected = null;
+    t.centrifuge.on('connect', function (ctx) {
+        connected = ctx;
+    });
+    t.centrifuge.connect();
+    return t.server.settle().then(function () {
+        t.server.assertSent('connect');
+        assert.ok(connected !== null);
+        assert.ok(t.centrifuge.isConnected());
+        assert.strictEqual(t.server.connections.length, 1);
+        assert.strictEqual(connected.client, t.server.connections[0].client);
+        t.centrifuge.disconnect();
+    });
+});
+
+test('subscribe and publish', function () {
+    var t = setup();
+    var messages = [];
+    var sub = t.centrifuge.subscribe('news', function (message) {
+        messages.push(message);
+    });
+    t.centrifuge.connect();
+    return t.server.settle().then(function () {
+        t.server.assertSent('subscribe', {channel: 'news'});
+        assert.ok(sub._isSuccess());
+        t.server.publish('news', {text: 'from server'});
+        return sub.publish({text: 'from client'});
+    }).then(function () {
+        return t.server.settle();
+    }).then(function () {
+        t.server.assertSent('publish', {channel: 'news', data: {text: 'from client'}});
+        assert.deepEqual(messages.map(function (message) {
+            return message.data.text;
+        }), ['from server', 'from client']);
+        t.centrifuge.disconnect();
+    });
+});
+
+test('drop', function () {
+    var t = setup();
+    var disconnects = [];
+    t.centrifuge.on('disconnect', function (ctx) {
+        disconnects.push(ctx);
+    });
+    t.centrifuge.connect();
+    return t.server.settle().then(function () {
+        t.server.drop();
+        return t.server.settle();
+    }).then(function () {
+        assert.strictEqual(disconnects.length, 1);
+        assert.strictEqual(disconnects[0].reconnect, true);
+        // client reconnects after drop.
+        return wait(100);
+    }).then(function () {
+        return t.server.settle();
+    }).then(function () {
+        assert.strictEqual(t.server.sent('connect').length, 2);
+        assert.ok(t.centrifuge.isConnected());
+        t.centrifuge.disconnect();
+    });
+});
+
+test('drop delivers frames sent before it', function () {
+    var t = setup();
+    var messages = [];
+    t.centrifuge.subscribe('news', function (message) {
+        messages.push(message);
+    });
+    t.centrifuge.connect();
+    return t.server.settle().then(function () {
+        t.server.publish('news', {text: 'last'});
+        t.server.drop();
+        return t.server.settle();
+    }).then(function () {
+        assert.strictEqual(messages.length, 1);
+        assert.strictEqual(messages[0].data.text, 'last');
+        t.centrifuge.disconnect();
+    });
+});
+
+test('disconnect delivers advice before close', function () {
+    var t = setup();
+    var disconnects = [];
+    var frames = [];
+    t.centrifuge.on('disconnect', function (ctx) {
+        disconnects.push(ctx);
+    });
+    t.centrifuge.connect();
+    return t.server.settle().then(function () {
+        var transport = t.server.connections[0]._transport;
+        var onMessage = transport.onMessage;
+        transport.onMessage = function (data) {
+            frames.push(JSON.parse(data));
+            onMessage.call(transport, data);
+        };
+        t.server.disconnect('shutdown', false);
+        return t.server.settle();
+    }).then(function () {
+        assert.strictEqual(frames.length, 1);
+        assert.strictEqual(frames[0].method, 'disconnect');
+        assert.strictEqual(disconnects.length, 1);
+        assert.strictEqual(disconnects[0].reason, 'shutdown');
+        assert.strictEqual(disconnects[0].reconnect, false);
+        return wait(100);
+    }).then(function () {
+        assert.strictEqual(t.server.sent('connect').length, 1);
+        assert.ok(t.centrifuge.isDisconnected());
+    });
+});
+
+test('frames sent after drop are dropped', function () {
+    var t = setup();
+    var sub = t.centrifuge.subscribe('news');
+    t.centrifuge.connect();
+    return t.server.settle().then(function () {
+        t.server.drop();
+        // client has not seen close yet.
+        sub.unsubscribe();
+        return t.server.settle();
+    }).then(function () {
+        t.server.assertNotSent('unsubscribe');
+        t.centrifuge.disconnect();
+    });
+});